@@ -0,0 +1,150 @@
+// Statistics across one or more databases for the Stats view: per-product price, addictiveness,
+// effects, recipe depth and price per mixing step, and the summaries the charts draw from them
+// (effect frequency, average price per number of effects, depth, best value per effect).
+// Works as a CommonJS module in Node and exposes window.Analytics in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'), require('./cost-model'), require('./instructions'), require('./compare'));
+    } else {
+        root.Analytics = factory(root.RecipeEngine, root.CostModel, root.Instructions, root.Compare);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine, CostModel, Instructions, Compare) {
+    // Mean of a list of numbers; null when it's empty
+    function average(values) {
+        if (values.length === 0) return null;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    // One row per product in `databases` (database name -> its drugs). Recipes are built against
+    // `resolutionData[database]` when given, so products from other databases resolve too.
+    function productStats(databases, resolutionData = {}, priceTable = {}) {
+        const rows = [];
+
+        Object.keys(databases).forEach(database => {
+            const drugs = databases[database] || [];
+            const resolveAgainst = RecipeEngine.indexDrugs(resolutionData[database] || drugs);
+
+            drugs.forEach(drug => {
+                const tree = RecipeEngine.buildRecipeTree(resolveAgainst, drug['Drug Name']);
+                const price = Number(drug.Price) || 0;
+                const effects = RecipeEngine.parseEffects(drug.Effects);
+                // Starting with a bought product isn't a step; only mixes count
+                const steps = Instructions.buildMixingSteps(tree).filter(step => step.type === 'mix').length;
+                const economics = CostModel.calculateProfit(tree, priceTable, 1);
+
+                rows.push({
+                    name: drug['Drug Name'],
+                    database,
+                    price,
+                    addictiveness: parseInt(drug.Addictiveness) || 0,
+                    effects,
+                    effectCount: effects.length,
+                    depth: Compare.recipeDepth(tree),
+                    steps,
+                    pricePerStep: steps > 0 ? price / steps : null,
+                    unitCost: economics.unitCost,
+                    unitProfit: economics.unitProfit
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    // How many products have each effect (ignoring case), most common first
+    function effectFrequency(rows) {
+        const byEffect = new Map();
+
+        rows.forEach(row => {
+            row.effects.forEach(effect => {
+                const key = effect.toLowerCase();
+                if (!byEffect.has(key)) byEffect.set(key, { effect, prices: [] });
+                byEffect.get(key).prices.push(row.price);
+            });
+        });
+
+        return Array.from(byEffect.values())
+            .map(entry => ({ effect: entry.effect, count: entry.prices.length, averagePrice: average(entry.prices) }))
+            .sort((a, b) => b.count - a.count || a.effect.localeCompare(b.effect));
+    }
+
+    // Average price of the products with 0, 1, 2... effects, fewest effects first
+    function averagePriceByEffectCount(rows) {
+        const byCount = new Map();
+        rows.forEach(row => {
+            if (!byCount.has(row.effectCount)) byCount.set(row.effectCount, []);
+            byCount.get(row.effectCount).push(row.price);
+        });
+
+        return Array.from(byCount.keys())
+            .sort((a, b) => a - b)
+            .map(effectCount => ({
+                effectCount,
+                count: byCount.get(effectCount).length,
+                averagePrice: average(byCount.get(effectCount))
+            }));
+    }
+
+    // Products per recipe depth with their average price and price per mixing step (null at depth
+    // 0, where nothing is mixed), shallowest first
+    function depthSummary(rows) {
+        const byDepth = new Map();
+        rows.forEach(row => {
+            if (!byDepth.has(row.depth)) byDepth.set(row.depth, []);
+            byDepth.get(row.depth).push(row);
+        });
+
+        return Array.from(byDepth.keys())
+            .sort((a, b) => a - b)
+            .map(depth => {
+                const entries = byDepth.get(depth);
+                const perStep = entries.filter(row => row.pricePerStep !== null).map(row => row.pricePerStep);
+                return {
+                    depth,
+                    count: entries.length,
+                    averagePrice: average(entries.map(row => row.price)),
+                    averageSteps: average(entries.map(row => row.steps)),
+                    averagePricePerStep: average(perStep)
+                };
+            });
+    }
+
+    // The product with the highest unit profit for each effect (the higher price breaks a tie),
+    // by effect name
+    function bestValueByEffect(rows) {
+        const best = new Map();
+
+        rows.forEach(row => {
+            row.effects.forEach(effect => {
+                const key = effect.toLowerCase();
+                const current = best.get(key);
+                const better = !current || row.unitProfit > current.product.unitProfit ||
+                    (row.unitProfit === current.product.unitProfit && row.price > current.product.price);
+                if (better) best.set(key, { effect: current ? current.effect : effect, product: row });
+            });
+        });
+
+        return Array.from(best.values()).sort((a, b) => a.effect.localeCompare(b.effect));
+    }
+
+    // Every summary the Stats view shows, for a list of product rows
+    function summarize(rows) {
+        return {
+            products: rows,
+            effects: effectFrequency(rows),
+            byEffectCount: averagePriceByEffectCount(rows),
+            byDepth: depthSummary(rows),
+            bestValue: bestValueByEffect(rows)
+        };
+    }
+
+    return {
+        productStats,
+        effectFrequency,
+        averagePriceByEffectCount,
+        depthSummary,
+        bestValueByEffect,
+        summarize
+    };
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Recipe lookup benchmark on a generated database: `npm run benchmark [-- count]` (2000 products
+// by default). Times building every recipe tree the way the catalogue used to (a linear search
+// of the list at every step), from an index, and through a memoized recipe cache, plus the
+// repeated tree and material lookups that opening tabs and recalculating do.
+
+const RecipeEngine = require('./recipe-engine');
+const Search = require('./search');
+
+const RAW_MATERIALS = ['Cuke', 'Banana', 'Paracetamol', 'Donut', 'Viagra', 'Mouth Wash', 'Flu Medicine', 'Gasoline',
+    'Energy Drink', 'Motor Oil', 'Mega Bean', 'Chili', 'Battery', 'Iodine', 'Addy', 'Horse Semen'];
+
+// Repeatable pseudo-random numbers, so every run times the same data
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+// `count` products: a few bought as-is, the rest mixing an earlier product with one or two raw
+// materials, so recipes run several intermediates deep
+function generateDatabase(count) {
+    const random = createRandom(42);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const drugs = [];
+
+    for (let i = 0; i < count; i++) {
+        const name = `Product${String(i).padStart(5, '0')}`;
+        const components = i < 10 ? [] : [drugs[Math.floor(random() * i)]['Drug Name'], pick(RAW_MATERIALS)];
+        if (components.length > 0 && random() < 0.3) components.push(pick(RAW_MATERIALS));
+
+        drugs.push({
+            'Drug Name': name,
+            Price: String(20 + Math.floor(random() * 400)),
+            Addictiveness: `${Math.floor(random() * 100)}%`,
+            Effects: [pick(['Calming', 'Energizing', 'Sneaky']), pick(['Foggy', 'Munchies', 'Zombifying'])].join(', '),
+            Recipe: components.join(' + ')
+        });
+    }
+
+    return drugs;
+}
+
+// The tree builder as it was before the index: a linear search of the list at every step
+function buildTreeWithListSearch(drugsData, drugName, visited = new Set()) {
+    if (visited.has(drugName.toLowerCase())) return { name: drugName, components: [], isCircular: true };
+    visited.add(drugName.toLowerCase());
+
+    const drug = drugsData.find(entry => entry['Drug Name'].toLowerCase() === drugName.toLowerCase());
+    if (!drug) return { name: drugName, components: [], isBasic: true };
+
+    return {
+        name: drug['Drug Name'],
+        components: RecipeEngine.parseRecipe(drug.Recipe).map(component => buildTreeWithListSearch(drugsData, component, new Set(visited)))
+    };
+}
+
+// Run `work` and return how long it took in milliseconds
+function time(work) {
+    const start = process.hrtime.bigint();
+    work();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function main(args) {
+    const count = Math.max(10, parseInt(args[0]) || 2000);
+    const drugs = generateDatabase(count);
+    const names = drugs.map(drug => drug['Drug Name']);
+    const random = createRandom(7);
+    const clicks = Array.from({ length: 5000 }, () => names[Math.floor(random() * names.length)]);
+
+    const results = [
+        ['Every tree, list search per step', time(() => names.forEach(name => buildTreeWithListSearch(drugs, name)))],
+        ['Every tree, list indexed per tree', time(() => names.forEach(name => RecipeEngine.buildRecipeTree(drugs, name)))],
+        ['Every tree, one shared index', time(() => {
+            const index = RecipeEngine.indexDrugs(drugs);
+            names.forEach(name => RecipeEngine.buildRecipeTree(index, name));
+        })]
+    ];
+
+    const cache = RecipeEngine.createRecipeCache(drugs);
+    results.push(['Every tree, recipe cache (cold)', time(() => names.forEach(name => cache.tree(name)))]);
+    results.push([`${clicks.length} tree + material lookups, no cache`, time(() => clicks.forEach(name => {
+        RecipeEngine.collectBasicMaterials(RecipeEngine.buildRecipeTree(drugs, name), 10);
+    }))]);
+    results.push([`${clicks.length} tree + material lookups, recipe cache`, time(() => clicks.forEach(name => {
+        cache.tree(name);
+        cache.materials(name, 10);
+    }))]);
+    results.push(['Search index for every product', time(() => Search.buildSearchIndex({ 'generated.json': drugs }))]);
+
+    const depths = names.map(name => {
+        let depth = 0;
+        for (let node = cache.tree(name); node.components.length > 0; node = node.components[0]) depth++;
+        return depth;
+    });
+    console.log(`${count} generated products, recipes up to ${Math.max(...depths)} mixes deep\n`);
+
+    const width = Math.max(...results.map(([label]) => label.length));
+    results.forEach(([label, ms]) => console.log(`${label.padEnd(width)}  ${ms.toFixed(1).padStart(9)} ms`));
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,174 @@
+// Cross-database catalogue: resolves recipe components across the meth, weed, coke and custom
+// databases, and merges them into one "All" list with a category tag on each entry.
+// A name defined in more than one database is never picked silently: a recipe's own database
+// wins, and otherwise it has to be written qualified, e.g. "OGKush (Weed)".
+// Works as a CommonJS module in Node and exposes window.Catalogue in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'));
+    } else {
+        root.Catalogue = factory(root.RecipeEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine) {
+    // "Name (Category)"
+    const QUALIFIED_PATTERN = /^(.*\S)\s*\(([^()]+)\)$/;
+
+    // A name tagged with the category (database label) it comes from
+    function qualifiedName(name, category) {
+        return `${name} (${category})`;
+    }
+
+    // Split "OGKush (Weed)" into { name, category }; plain names have a null category
+    function parseReference(reference) {
+        const match = String(reference).trim().match(QUALIFIED_PATTERN);
+        return match ? { name: match[1], category: match[2].trim() } : { name: String(reference).trim(), category: null };
+    }
+
+    // Label shown for a database, falling back to its file name
+    function labelFor(database, labels = {}) {
+        return labels[database] || database.replace(/\.json$/, '');
+    }
+
+    // The database a category refers to, by label or file name (case-insensitive)
+    function findDatabase(databases, category, labels = {}) {
+        const wanted = category.toLowerCase();
+        return Object.keys(databases).find(database =>
+            [database, database.replace(/\.json$/, ''), labelFor(database, labels)].some(name => name.toLowerCase() === wanted)
+        ) || null;
+    }
+
+    // Databases defining each name, keyed by lowercase name
+    function indexNames(databases) {
+        const index = new Map();
+        Object.keys(databases).forEach(database => {
+            (databases[database] || []).forEach(drug => {
+                const key = drug['Drug Name'].toLowerCase();
+                if (!index.has(key)) index.set(key, []);
+                if (!index.get(key).includes(database)) index.get(key).push(database);
+            });
+        });
+        return index;
+    }
+
+    // Names defined in more than one database, as [{ name, databases }]
+    function findCollisions(databases) {
+        const collisions = [];
+        indexNames(databases).forEach((found, key) => {
+            if (found.length < 2) return;
+            const drug = RecipeEngine.findDrugByName(databases[found[0]], key);
+            collisions.push({ name: drug['Drug Name'], databases: found });
+        });
+        return collisions.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Where a recipe component used in `fromDatabase` comes from: a qualified reference names its
+    // database, otherwise `fromDatabase` itself is checked first, then the others. Returns
+    // { drug, database }, { ambiguous: [databases] } when several other databases define it, or null.
+    function resolveReference(databases, reference, fromDatabase, labels = {}) {
+        const { name, category } = parseReference(reference);
+
+        if (category) {
+            const database = findDatabase(databases, category, labels);
+            const drug = database && RecipeEngine.findDrugByName(databases[database] || [], name);
+            if (drug) return { drug, database };
+        }
+
+        const own = RecipeEngine.findDrugByName(databases[fromDatabase] || [], reference);
+        if (own) return { drug: own, database: fromDatabase };
+
+        const found = Object.keys(databases).filter(database =>
+            database !== fromDatabase && RecipeEngine.findDrugByName(databases[database] || [], reference)
+        );
+        if (found.length > 1) return { ambiguous: found };
+        if (found.length === 1) return { drug: RecipeEngine.findDrugByName(databases[found[0]], reference), database: found[0] };
+        return null;
+    }
+
+    // Rewrite a drug's recipe so components that resolve to a name several databases define are
+    // written qualified, which keeps their meaning when the drug is read outside its own database
+    function qualifyRecipe(databases, drug, database, labels, names) {
+        const components = RecipeEngine.parseRecipe(drug.Recipe);
+        const changed = components.map(component => {
+            const resolved = resolveReference(databases, component, database, labels);
+            if (!resolved || !resolved.drug) return component;
+            if (names.get(resolved.drug['Drug Name'].toLowerCase()).length < 2) return component;
+            return qualifiedName(resolved.drug['Drug Name'], labelFor(resolved.database, labels));
+        });
+        return changed.some((component, i) => component !== components[i]) ? changed.join(' + ') : drug.Recipe;
+    }
+
+    // A copy of a drug for use outside its own database, tagged with where it came from
+    function tagged(databases, drug, database, labels, names, name) {
+        return {
+            ...drug,
+            'Drug Name': name,
+            Recipe: qualifyRecipe(databases, drug, database, labels, names),
+            Category: labelFor(database, labels),
+            Database: database,
+            'Source Name': drug['Drug Name']
+        };
+    }
+
+    // Drugs that recipes in `database` resolve against, ordered so the first match by name wins
+    // (as RecipeEngine.findDrugByName does): its own drugs, then drugs that exactly one other database
+    // defines, then every drug under its qualified name. A plain name that several other databases
+    // define stays unresolved, so it gets flagged instead of one of them being picked silently.
+    function buildResolutionData(databases, database, labels = {}) {
+        const names = indexNames(databases);
+        const own = databases[database] || [];
+        const ownNames = new Set(own.map(drug => drug['Drug Name'].toLowerCase()));
+        const borrowed = [];
+        const qualified = [];
+
+        Object.keys(databases).forEach(other => {
+            (databases[other] || []).forEach(drug => {
+                const key = drug['Drug Name'].toLowerCase();
+                if (other !== database && !ownNames.has(key) && names.get(key).length === 1) {
+                    borrowed.push(tagged(databases, drug, other, labels, names, drug['Drug Name']));
+                }
+                qualified.push(tagged(databases, drug, other, labels, names, qualifiedName(drug['Drug Name'], labelFor(other, labels))));
+            });
+        });
+
+        return own.concat(borrowed, qualified);
+    }
+
+    // Every database merged into one list of tagged copies (Category, Database, Source Name). Names
+    // several databases define are qualified, and recipes point at the qualified names, so the
+    // list resolves on its own.
+    function mergeDatabases(databases, labels = {}) {
+        const names = indexNames(databases);
+        const merged = [];
+
+        Object.keys(databases).forEach(database => {
+            (databases[database] || []).forEach(drug => {
+                const name = names.get(drug['Drug Name'].toLowerCase()).length > 1
+                    ? qualifiedName(drug['Drug Name'], labelFor(database, labels))
+                    : drug['Drug Name'];
+                merged.push(tagged(databases, drug, database, labels, names, name));
+            });
+        });
+
+        return merged;
+    }
+
+    // The database and original name of an entry from mergeDatabases or buildResolutionData
+    function sourceOf(entry, fallbackDatabase) {
+        return {
+            database: entry.Database || fallbackDatabase,
+            name: entry['Source Name'] || entry['Drug Name']
+        };
+    }
+
+    return {
+        qualifiedName,
+        parseReference,
+        findDatabase,
+        findCollisions,
+        resolveReference,
+        buildResolutionData,
+        mergeDatabases,
+        sourceOf
+    };
+});
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// Command-line access to the recipe databases: `schedulei <command> [arguments] [--json]`.
+// Run `schedulei help` for the commands. Prints readable text by default and the same JSON as the
+// HTTP API with --json; exits with 1 on an error and 2 on a usage mistake.
+
+const Queries = require('./queries');
+const Server = require('./server');
+const CostModel = require('./cost-model');
+const Versions = require('./versions');
+
+const USAGE = `Usage: schedulei <command> [arguments] [options]
+
+Commands:
+  recipe <product> [--qty N] [--db DB]   Recipe tree, raw materials, mixing order and profit
+  materials <product[:qty]>... [--db DB] Combined shopping list for several products
+  uses <ingredient>                      Products made from an ingredient or intermediate
+  search <query> [--db DB]               Ranked search, e.g. "effect:Energizing price:>100"
+  products [--db DB] [--effect E]...     Products, optionally with every listed effect
+  databases                              The databases and how many products each has
+  versions [--db DB]                     Each database's snapshots and current version
+  diff <db> [--from V] [--to V]          What changed between two versions (latest snapshot to current by default)
+  snapshot <db> [version]                Save the current data as a snapshot with a version label
+  serve [--port N] [--host H]            Start the local JSON API (default 127.0.0.1:3000)
+
+Options:
+  --json    Print JSON instead of text
+  --db      Database id, label or file (meth, weed, coke...)`;
+
+// Split arguments into positionals and options. Options take a value unless they're flags;
+// repeated options collect into a list.
+function parseArgs(args) {
+    const FLAGS = ['json', 'help'];
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [key, inline] = arg.slice(2).split(/=(.*)/s);
+        const value = FLAGS.includes(key) ? true : inline !== undefined ? inline : args[++i];
+        if (value === undefined) throw Object.assign(new Error(`--${key} needs a value`), { usage: true });
+        options[key] = key in options ? [].concat(options[key], value) : value;
+    }
+
+    return { positionals, options };
+}
+
+// Last value of an option given once or several times
+function single(value) {
+    return Array.isArray(value) ? value[value.length - 1] : value;
+}
+
+// "Name (db) $price, addictiveness%"
+function describeProduct(product) {
+    return `${product.name} (${product.database}) ${CostModel.formatMoney(product.price)}, ${product.addictiveness}% addictive`;
+}
+
+// A version label for people; the current file may not have one
+function versionName(version) {
+    return version === null || version === 'current' ? 'current' : `"${version}"`;
+}
+
+// Readable text for each command's result
+const FORMATTERS = {
+    recipe(result) {
+        const { product, economics } = result;
+        return [
+            `${result.quantity}x ${describeProduct(product)}`,
+            `Effects: ${product.effects.join(', ') || 'none'}`,
+            `Recipe: ${product.recipe || 'bought as-is'}`,
+            '',
+            'Raw materials:',
+            ...result.materials.map(material => `  ${material.quantity}x ${material.name}`),
+            '',
+            'Mixing order:',
+            ...(result.steps.length > 0 ? result.steps.map((step, i) => `  ${i + 1}. ${step}`) : ['  Nothing to mix']),
+            '',
+            `Cost ${CostModel.formatMoney(economics.totalCost)}, revenue ${CostModel.formatMoney(economics.revenue)}, ` +
+                `profit ${CostModel.formatMoney(economics.profit)} (${economics.margin.toFixed(1)}% margin)`,
+            ...(economics.unpriced.length > 0 ? [`No price for: ${economics.unpriced.join(', ')}`] : [])
+        ].join('\n');
+    },
+    materials(plan) {
+        return [
+            ...plan.items.map(item => `${item.quantity}x ${item.name} (${item.database})`),
+            '',
+            'Shopping list:',
+            ...plan.shoppingList.map(entry => `  ${entry.quantity}x ${entry.name}${entry.unitPrice === null ? ' (no price)' : ` ${CostModel.formatMoney(entry.cost)}`}`),
+            '',
+            'Intermediates:',
+            ...(plan.intermediates.length > 0 ? plan.intermediates.map(entry => `  ${entry.quantity}x ${entry.name} = ${entry.recipe}`) : ['  None']),
+            '',
+            `Cost ${CostModel.formatMoney(plan.totalCost)}, revenue ${CostModel.formatMoney(plan.revenue)}, ` +
+                `profit ${CostModel.formatMoney(plan.profit)} (${plan.margin.toFixed(1)}% margin)`
+        ].join('\n');
+    },
+    uses(usages) {
+        if (usages.length === 0) return 'Nothing is made from it.';
+        return usages.map(usage => `${usage.depth === 1 ? 'direct' : `depth ${usage.depth}`}  ${usage.name} (${usage.database}) via ${usage.via}`).join('\n');
+    },
+    search(results) {
+        if (results.length === 0) return 'No matches.';
+        return results.map(product => `${describeProduct(product)}  ${product.effects.join(', ')}`).join('\n');
+    },
+    products(products) {
+        if (products.length === 0) return 'No products match.';
+        return products.map(product => `${describeProduct(product)}  ${product.effects.join(', ')}`).join('\n');
+    },
+    databases(databases) {
+        return databases.map(database => `${database.id.padEnd(8)} ${database.label} (${database.file}, ${database.products} products)`).join('\n');
+    },
+    versions(list) {
+        return list.map(({ database, versions }) => [
+            database,
+            ...versions.map(version => `  ${versionName(version.version)}${version.current && version.version ? ' (current)' : ''}  ${version.file}`)
+        ].join('\n')).join('\n\n');
+    },
+    diff(diff) {
+        const section = (title, lines) => (lines.length > 0 ? ['', `${title}:`, ...lines.map(line => `  ${line}`)] : []);
+        return [
+            `${diff.database}: ${versionName(diff.from)} -> ${versionName(diff.to)}`,
+            ...section('Added', diff.added),
+            ...section('Removed', diff.removed),
+            ...section('Price changes', diff.priceChanges.map(change =>
+                `${change.name} ${CostModel.formatMoney(change.before)} -> ${CostModel.formatMoney(change.after)}`)),
+            ...section('Effect changes', diff.effectChanges.map(change =>
+                `${change.name} ${[...change.gained.map(effect => `+${effect}`), ...change.lost.map(effect => `-${effect}`)].join(', ')}`)),
+            ...section('Recipe changes', diff.recipeChanges.map(change =>
+                `${change.name}: ${change.before || 'bought as-is'} -> ${change.after || 'bought as-is'}`)),
+            ...section('Affected downstream', diff.affected.map(product => `${product.name} via ${product.via.join(', ')}`)),
+            ...(Versions.countChanges(diff) === 0 ? ['', 'No changes.'] : [])
+        ].join('\n');
+    },
+    snapshot(saved) {
+        return `Saved ${saved.products} ${saved.database} products as ${versionName(saved.version)} in ${saved.file}`;
+    }
+};
+
+// Run a query command and return its result
+function runCommand(catalogue, command, positionals, options) {
+    const database = single(options.db);
+    const requireArgument = what => {
+        if (positionals.length === 0) throw Object.assign(new Error(`${command} needs ${what}`), { usage: true });
+        return positionals.join(' ');
+    };
+
+    switch (command) {
+        case 'recipe':
+            return Queries.recipe(catalogue, requireArgument('a product name'), { database, quantity: single(options.qty) });
+        case 'materials':
+            requireArgument('at least one product');
+            return Queries.materialTotals(catalogue, positionals.map(item => ({ ...Server.parseItem(item), database })));
+        case 'uses':
+            return Queries.uses(catalogue, requireArgument('an ingredient name'));
+        case 'search':
+            return Queries.search(catalogue, requireArgument('a query'), { database });
+        case 'products':
+            return Queries.listProducts(catalogue, { database, effects: [].concat(options.effect || []) });
+        case 'databases':
+            return Queries.listDatabases(catalogue);
+        case 'versions':
+            return Queries.listVersions(catalogue, database);
+        case 'diff':
+            return Queries.diffVersions(catalogue, requireArgument('a database'), { from: single(options.from), to: single(options.to) });
+        case 'snapshot': {
+            const [name, ...label] = positionals;
+            requireArgument('a database');
+            return Queries.saveSnapshot(catalogue, name, label.join(' '));
+        }
+        default:
+            throw Object.assign(new Error(`Unknown command "${command}"`), { usage: true });
+    }
+}
+
+function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const [command, ...positionals] = parsed.positionals;
+    const { options } = parsed;
+    if (!command || command === 'help' || options.help) {
+        console.log(USAGE);
+        return command || options.help ? 0 : 2;
+    }
+
+    try {
+        const catalogue = Queries.loadCatalogue();
+
+        if (command === 'serve') {
+            const port = parseInt(single(options.port)) || 3000;
+            const host = single(options.host) || '127.0.0.1';
+            const server = Server.createServer(catalogue);
+            // A port in use or a bad host is reported like any other error
+            server.on('error', error => {
+                console.error(error.message);
+                process.exitCode = 1;
+            });
+            server.listen(port, host, () => {
+                console.log(`Serving the recipe API on http://${host}:${server.address().port}/api/`);
+            });
+            return null;
+        }
+
+        const result = runCommand(catalogue, command, positionals, options);
+        console.log(options.json ? JSON.stringify(result, null, 2) : FORMATTERS[command](result));
+        return 0;
+    } catch (error) {
+        console.error(error.usage ? `${error.message}\n\n${USAGE}` : error.message);
+        return error.usage ? 2 : 1;
+    }
+}
+
+const exitCode = main(process.argv.slice(2));
+if (exitCode !== null) process.exitCode = exitCode;
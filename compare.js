@@ -0,0 +1,132 @@
+// Side-by-side comparison of two to four products, possibly from different databases: price,
+// profit, addictiveness, shared and unique effects, recipe depth, raw materials and mixing chain.
+// Works as a CommonJS module in Node and exposes window.Compare in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'), require('./cost-model'), require('./instructions'));
+    } else {
+        root.Compare = factory(root.RecipeEngine, root.CostModel, root.Instructions);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine, CostModel, Instructions) {
+    // How many products can be compared at once
+    const MIN_ITEMS = 2;
+    const MAX_ITEMS = 4;
+
+    // localStorage key the comparison UI saves its selection under
+    const STORAGE_KEY = 'compareSelection';
+
+    // Longest chain of mixes below a tree node: 0 for raw materials and recipe-less products
+    function recipeDepth(node) {
+        if (node.isBasic || node.isCircular || !node.components || node.components.length === 0) return 0;
+        return 1 + Math.max(...node.components.map(recipeDepth));
+    }
+
+    // Products in the order they're made, from the first mix up to the drug itself
+    function ingredientChain(recipeTree) {
+        return Instructions.buildMixingSteps(recipeTree).map(step => step.product);
+    }
+
+    // Add an item to a selection unless it's already there or the selection is full.
+    // Returns the new selection (the original is left alone).
+    function addItem(selection, item) {
+        const exists = selection.some(entry => entry.database === item.database && entry.name === item.name);
+        if (exists || selection.length >= MAX_ITEMS) return selection;
+        return selection.concat({ database: item.database, name: item.name });
+    }
+
+    // Remove an item from a selection
+    function removeItem(selection, item) {
+        return selection.filter(entry => !(entry.database === item.database && entry.name === item.name));
+    }
+
+    // Compare a list of { name, database } items. `databases` maps a database name to the drugs its
+    // recipes resolve against. Items that aren't found are skipped. Effects are matched ignoring case.
+    function compareDrugs(databases, items, priceTable = {}) {
+        const columns = [];
+
+        items.slice(0, MAX_ITEMS).forEach(item => {
+            const drugsData = databases[item.database] || [];
+            const drug = RecipeEngine.findDrugByName(drugsData, item.name);
+            if (!drug) return;
+
+            const tree = RecipeEngine.buildRecipeTree(drugsData, drug['Drug Name']);
+            const materials = RecipeEngine.collectBasicMaterials(tree, 1);
+            const economics = CostModel.calculateProfit(tree, priceTable, 1);
+
+            columns.push({
+                name: drug['Drug Name'],
+                database: item.database,
+                price: Number(drug.Price) || 0,
+                unitCost: economics.unitCost,
+                unitProfit: economics.unitProfit,
+                margin: economics.margin,
+                addictiveness: parseInt(drug.Addictiveness) || 0,
+                effects: RecipeEngine.parseEffects(drug.Effects),
+                depth: recipeDepth(tree),
+                materials: Object.keys(materials)
+                    .sort((a, b) => a.localeCompare(b))
+                    .map(name => ({ name, quantity: materials[name] })),
+                chain: ingredientChain(tree)
+            });
+        });
+
+        // One row per effect, keeping the first spelling seen
+        const effectRows = new Map();
+        columns.forEach((column, i) => {
+            column.effects.forEach(effect => {
+                const key = effect.toLowerCase();
+                if (!effectRows.has(key)) effectRows.set(key, { effect, present: columns.map(() => false) });
+                effectRows.get(key).present[i] = true;
+            });
+        });
+
+        const effects = Array.from(effectRows.values())
+            .map(row => {
+                const count = row.present.filter(present => present).length;
+                return { ...row, shared: count === columns.length, unique: count === 1 };
+            })
+            .sort((a, b) => Number(b.shared) - Number(a.shared) || a.effect.localeCompare(b.effect));
+
+        columns.forEach((column, i) => {
+            column.uniqueEffects = effects.filter(row => row.unique && row.present[i]).map(row => row.effect);
+        });
+
+        return {
+            columns,
+            effects,
+            sharedEffects: effects.filter(row => row.shared).map(row => row.effect)
+        };
+    }
+
+    // Load the saved selection, ignoring anything malformed
+    function loadSelection(storage) {
+        try {
+            const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+            if (!Array.isArray(saved)) return [];
+            return saved
+                .filter(item => item && typeof item.name === 'string' && typeof item.database === 'string')
+                .slice(0, MAX_ITEMS);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Save the selection
+    function saveSelection(storage, selection) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(selection));
+    }
+
+    return {
+        MIN_ITEMS,
+        MAX_ITEMS,
+        STORAGE_KEY,
+        recipeDepth,
+        ingredientChain,
+        addItem,
+        removeItem,
+        compareDrugs,
+        loadSelection,
+        saveSelection
+    };
+});
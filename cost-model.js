@@ -0,0 +1,114 @@
+// Ingredient cost model: prices recipe trees from prices.json and works out profit and margin.
+// Everything bought is a leaf of the recipe tree (an ingredient, a precursor such as Acid or a
+// product with no recipe such as OGKush), so the cost always matches the raw materials list.
+// Works as a CommonJS module in Node and exposes window.CostModel in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'));
+    } else {
+        root.CostModel = factory(root.RecipeEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine) {
+    // Look up the unit price of an ingredient or base product, or null if it isn't in the table.
+    // Spelling variants ("MegaBean", "Mega Bean") share one price.
+    function getUnitPrice(priceTable, name) {
+        const key = RecipeEngine.normalizeName(name);
+        for (const section of ['products', 'ingredients']) {
+            const prices = (priceTable && priceTable[section]) || {};
+            const match = Object.keys(prices).find(entry => RecipeEngine.normalizeName(entry) === key);
+            if (match !== undefined) return prices[match];
+        }
+        return null;
+    }
+
+    // Whether a tree node is bought rather than mixed: anything without a recipe of its own
+    function isBought(node) {
+        return node.isBasic || !node.components || node.components.length === 0;
+    }
+
+    // Work out what has to be bought to make a recipe tree: its raw materials, the same totals
+    // RecipeEngine.collectBasicMaterials lists
+    function collectPurchases(recipeTree, quantity = 1, purchases = {}, visited = new Set()) {
+        if (recipeTree.isCircular || visited.has(recipeTree.name.toLowerCase())) {
+            return purchases;
+        }
+
+        visited.add(recipeTree.name.toLowerCase());
+
+        if (isBought(recipeTree)) {
+            purchases[recipeTree.name] = (purchases[recipeTree.name] || 0) + quantity;
+        } else {
+            recipeTree.components.forEach(component => {
+                collectPurchases(component, quantity, purchases, new Set(visited));
+            });
+        }
+
+        return purchases;
+    }
+
+    // Total input cost of a recipe tree for a quantity, with a per-item breakdown.
+    // Items missing from the price table are listed in `unpriced` and count as free.
+    function calculateCost(recipeTree, priceTable, quantity = 1) {
+        const purchases = collectPurchases(recipeTree, quantity);
+        const breakdown = {};
+        const unpriced = [];
+        let total = 0;
+
+        Object.keys(purchases).forEach(name => {
+            const unitPrice = getUnitPrice(priceTable, name);
+            if (unitPrice === null) {
+                unpriced.push(name);
+            }
+            const cost = (unitPrice || 0) * purchases[name];
+            breakdown[name] = { quantity: purchases[name], unitPrice, cost };
+            total += cost;
+        });
+
+        return { total, unitCost: quantity > 0 ? total / quantity : 0, breakdown, unpriced };
+    }
+
+    // Cost of one of a product made from the drugs it resolves against, e.g. Meth from its
+    // precursors; a product that isn't in `drugsData` is priced as bought
+    function unitCostOf(drugsData, name, priceTable) {
+        return calculateCost(RecipeEngine.buildRecipeTree(drugsData, name), priceTable).unitCost;
+    }
+
+    // Cost, revenue, profit and margin % for selling `quantity` of the drug at the root of a recipe tree
+    function calculateProfit(recipeTree, priceTable, quantity = 1) {
+        const cost = calculateCost(recipeTree, priceTable, quantity);
+        const sellPrice = Number(recipeTree.price) || 0;
+        const revenue = sellPrice * quantity;
+        const profit = revenue - cost.total;
+
+        return {
+            quantity,
+            sellPrice,
+            unitCost: cost.unitCost,
+            totalCost: cost.total,
+            revenue,
+            unitProfit: sellPrice - cost.unitCost,
+            profit,
+            margin: revenue > 0 ? (profit / revenue) * 100 : 0,
+            breakdown: cost.breakdown,
+            unpriced: cost.unpriced
+        };
+    }
+
+    // Format a money amount, dropping the cents when they're zero
+    function formatMoney(amount) {
+        const rounded = Math.round(amount * 100) / 100;
+        const text = Number.isInteger(rounded) ? String(Math.abs(rounded)) : Math.abs(rounded).toFixed(2);
+        return `${rounded < 0 ? '-' : ''}$${text}`;
+    }
+
+    return {
+        getUnitPrice,
+        isBought,
+        collectPurchases,
+        calculateCost,
+        unitCostOf,
+        calculateProfit,
+        formatMoney
+    };
+});
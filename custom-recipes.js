@@ -0,0 +1,102 @@
+// "My Recipes": user-defined recipes stored in localStorage, using the same schema as the
+// shipped databases ("Drug Name", Price, Effects, Addictiveness, Recipe).
+// Works as a CommonJS module in Node and exposes window.CustomRecipes in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CustomRecipes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // localStorage key the custom recipes are saved under
+    const STORAGE_KEY = 'customRecipes';
+
+    // Load saved recipes from storage (an empty list if there's nothing valid saved)
+    function loadRecipes(storage) {
+        try {
+            const recipes = JSON.parse(storage.getItem(STORAGE_KEY));
+            return Array.isArray(recipes) ? recipes.filter(recipe => recipe && recipe['Drug Name']) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Save recipes to storage
+    function saveRecipes(storage, recipes) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(recipes));
+    }
+
+    // Turn raw form values into a database entry: trimmed strings, a numeric price,
+    // effects as a ", "-separated list and addictiveness as an "NN%" string
+    function normalizeEntry(values) {
+        const effects = String(values.effects || '')
+            .split(',')
+            .map(effect => effect.trim())
+            .filter(effect => effect);
+        const addictiveness = parseFloat(String(values.addictiveness || '0').replace('%', ''));
+
+        return {
+            'Drug Name': String(values.name || '').trim(),
+            Price: parseFloat(values.price),
+            Effects: effects.join(', '),
+            Addictiveness: `${isNaN(addictiveness) ? values.addictiveness : Math.round(addictiveness)}%`,
+            Recipe: String(values.recipe || '').trim()
+        };
+    }
+
+    // Problems with an entry, as a list of messages (empty when it's valid).
+    // `originalName` is the name of the entry being edited, so it doesn't clash with itself.
+    function validateEntry(entry, recipes, originalName) {
+        const errors = [];
+        const name = entry['Drug Name'];
+
+        if (!name) {
+            errors.push('Drug Name is required.');
+        } else {
+            const clash = recipes.some(recipe => recipe['Drug Name'].toLowerCase() === name.toLowerCase() &&
+                (!originalName || recipe['Drug Name'].toLowerCase() !== originalName.toLowerCase()));
+            if (clash) errors.push(`You already have a recipe called ${name}.`);
+        }
+
+        if (typeof entry.Price !== 'number' || isNaN(entry.Price) || entry.Price < 0) {
+            errors.push('Price must be a number of 0 or more.');
+        }
+
+        const addictiveness = parseFloat(entry.Addictiveness);
+        if (!/^\d+%$/.test(entry.Addictiveness) || addictiveness > 100) {
+            errors.push('Addictiveness must be between 0% and 100%.');
+        }
+
+        return errors;
+    }
+
+    // Add an entry, or replace the one called `originalName`. Returns a new list.
+    function upsertRecipe(recipes, entry, originalName) {
+        const key = (originalName || entry['Drug Name']).toLowerCase();
+        const index = recipes.findIndex(recipe => recipe['Drug Name'].toLowerCase() === key);
+        const updated = recipes.slice();
+
+        if (index === -1) {
+            updated.push(entry);
+        } else {
+            updated[index] = entry;
+        }
+        return updated;
+    }
+
+    // Remove the entry with the given name. Returns a new list.
+    function deleteRecipe(recipes, name) {
+        return recipes.filter(recipe => recipe['Drug Name'].toLowerCase() !== name.toLowerCase());
+    }
+
+    return {
+        STORAGE_KEY,
+        loadRecipes,
+        saveRecipes,
+        normalizeEntry,
+        validateEntry,
+        upsertRecipe,
+        deleteRecipe
+    };
+});
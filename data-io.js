@@ -0,0 +1,255 @@
+// Import and export of recipe databases as JSON or CSV, with schema validation so a malformed
+// file is reported row by row instead of breaking the catalogue.
+// Works as a CommonJS module in Node and exposes window.DataIO in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'));
+    } else {
+        root.DataIO = factory(root.RecipeEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine) {
+    // Fields of a database entry, in the order they're exported
+    const FIELDS = ['Drug Name', 'Price', 'Effects', 'Addictiveness', 'Recipe'];
+
+    // Raw materials that appear in recipes without being sold anywhere (bases' precursors).
+    // Mixing ingredients are passed in by the caller from prices.json / mix-rules.json.
+    const PRECURSORS = ['Acid', 'Phosphorus', 'Pseudo', 'Coca Seed'];
+
+    // Split CSV text into rows of fields. Handles quoted fields with commas, newlines and "" escapes.
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Blank lines aren't rows
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    // Quote a CSV field if it contains a separator, quote or newline
+    function csvField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Export drugs as CSV with a header row
+    function toCsv(drugs) {
+        const lines = [FIELDS.map(csvField).join(',')];
+        drugs.forEach(drug => lines.push(FIELDS.map(field => csvField(drug[field])).join(',')));
+        return lines.join('\n') + '\n';
+    }
+
+    // Export drugs as JSON, formatted like the shipped database files
+    function toJson(drugs) {
+        return JSON.stringify(drugs.map(drug => {
+            const entry = {};
+            FIELDS.forEach(field => { entry[field] = drug[field]; });
+            return entry;
+        }), null, 2) + '\n';
+    }
+
+    // Read an import file into raw rows: { row, values } with `row` being the 1-based line/entry
+    // number the user will see in the report. Throws an Error if the file can't be read at all.
+    function readRows(text, format) {
+        if (format === 'json') {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Not valid JSON: ${error.message}`);
+            }
+            if (!Array.isArray(parsed)) {
+                throw new Error('Expected a JSON array of recipes.');
+            }
+            return parsed.map((values, i) => ({ row: i + 1, values }));
+        }
+
+        if (format === 'csv') {
+            const [header, ...rows] = parseCsv(text);
+            if (!header) throw new Error('The file is empty.');
+
+            const columns = header.map(name => name.trim());
+            const missing = FIELDS.filter(field => !columns.includes(field));
+            if (missing.length > 0) {
+                throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+            }
+
+            // Row 1 is the header, so data starts on row 2
+            return rows.map((fields, i) => {
+                const values = {};
+                columns.forEach((column, c) => { values[column] = fields[c] === undefined ? '' : fields[c]; });
+                return { row: i + 2, values };
+            });
+        }
+
+        throw new Error(`Unsupported format: ${format}`);
+    }
+
+    // Check one raw row against the schema. Returns the cleaned-up entry plus any errors and warnings.
+    function validateRow(values) {
+        const errors = [];
+        const warnings = [];
+
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return { entry: null, errors: ['Entry must be an object.'], warnings };
+        }
+
+        const name = typeof values['Drug Name'] === 'string' ? values['Drug Name'].trim() : '';
+        if (!name) errors.push('Drug Name is required.');
+
+        // Prices may arrive as numeric strings ("66" in weed.json, every value in a CSV)
+        let price = values.Price;
+        if (typeof price === 'string' && price.trim() !== '' && !isNaN(Number(price))) {
+            price = Number(price);
+        }
+        if (typeof price !== 'number' || !isFinite(price)) {
+            errors.push(`Price must be numeric (got ${JSON.stringify(values.Price === undefined ? null : values.Price)}).`);
+        } else if (price < 0) {
+            errors.push('Price can\'t be negative.');
+        }
+
+        const addictiveness = typeof values.Addictiveness === 'string' ? values.Addictiveness.trim() : values.Addictiveness;
+        if (typeof addictiveness !== 'string' || !/^\d{1,3}%$/.test(addictiveness) || parseInt(addictiveness) > 100) {
+            errors.push(`Addictiveness must be an "NN%" string from 0% to 100% (got ${JSON.stringify(values.Addictiveness === undefined ? null : values.Addictiveness)}).`);
+        }
+
+        // 'NaN' placeholders are accepted but stored as empty
+        const text = (field) => {
+            const value = values[field];
+            if (value === undefined || value === null) return '';
+            if (typeof value !== 'string') {
+                errors.push(`${field} must be text.`);
+                return '';
+            }
+            if (value.trim() === 'NaN') {
+                warnings.push(`${field} is a 'NaN' placeholder and will be left empty.`);
+                return '';
+            }
+            return value.trim();
+        };
+
+        const entry = {
+            'Drug Name': name,
+            Price: price,
+            Effects: RecipeEngine.parseEffects(text('Effects')).join(', '),
+            Addictiveness: addictiveness,
+            Recipe: text('Recipe')
+        };
+
+        return { entry, errors, warnings };
+    }
+
+    // Validate a whole import. Options:
+    //   knownDrugs - drugs already available (shipped databases, My Recipes) that recipes may use
+    //   knownBasics - raw ingredient names recipes may use (mixing ingredients, base products)
+    // Returns { rows: [{ row, name, errors, warnings }], entries (valid rows only), errorCount }.
+    function validateImport(rawRows, options = {}) {
+        const knownDrugs = options.knownDrugs || [];
+        const basics = new Set(PRECURSORS.concat(options.knownBasics || []).map(RecipeEngine.normalizeName));
+        const checked = rawRows.map(raw => ({ row: raw.row, ...validateRow(raw.values) }));
+
+        // Names defined by this file, to catch duplicates and let entries build on each other
+        const fileNames = new Map();
+        checked.forEach(result => {
+            if (!result.entry || !result.entry['Drug Name']) return;
+            const key = result.entry['Drug Name'].toLowerCase();
+            if (fileNames.has(key)) {
+                result.errors.push(`Duplicate name: ${result.entry['Drug Name']} is already defined on row ${fileNames.get(key)}.`);
+            } else {
+                fileNames.set(key, result.row);
+            }
+        });
+
+        const resolves = component =>
+            fileNames.has(component.toLowerCase()) ||
+            RecipeEngine.findDrugByName(knownDrugs, component) ||
+            basics.has(RecipeEngine.normalizeName(component));
+
+        checked.forEach(result => {
+            if (!result.entry) return;
+            RecipeEngine.parseRecipe(result.entry.Recipe).forEach(component => {
+                if (!resolves(component)) {
+                    result.errors.push(`Recipe component "${component}" isn't a known drug or ingredient.`);
+                }
+            });
+        });
+
+        const rows = checked.map(result => ({
+            row: result.row,
+            name: result.entry ? result.entry['Drug Name'] : '',
+            errors: result.errors,
+            warnings: result.warnings
+        }));
+
+        return {
+            rows,
+            entries: checked.filter(result => result.errors.length === 0).map(result => result.entry),
+            errorCount: rows.filter(row => row.errors.length > 0).length
+        };
+    }
+
+    // Work out the format from a file name, defaulting to JSON
+    function detectFormat(fileName) {
+        return /\.csv$/i.test(fileName || '') ? 'csv' : 'json';
+    }
+
+    // Read and validate an import file in one go. If the file can't be read, the report has a
+    // single row-0 error describing why.
+    function importText(text, format, options) {
+        try {
+            return validateImport(readRows(text, format), options);
+        } catch (error) {
+            return {
+                rows: [{ row: 0, name: '', errors: [error.message], warnings: [] }],
+                entries: [],
+                errorCount: 1
+            };
+        }
+    }
+
+    return {
+        FIELDS,
+        PRECURSORS,
+        parseCsv,
+        toCsv,
+        toJson,
+        readRows,
+        validateRow,
+        validateImport,
+        detectFormat,
+        importText
+    };
+});
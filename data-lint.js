@@ -0,0 +1,164 @@
+// Data-integrity checks for the recipe databases, shared by the `npm run lint-data` CLI
+// (lint-data.js) and the in-app Diagnostics view.
+// Works as a CommonJS module in Node and exposes window.DataLint in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'), require('./data-io'));
+    } else {
+        root.DataLint = factory(root.RecipeEngine, root.DataIO);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine, DataIO) {
+    // What each check looks for, keyed by the rule name reported on each issue
+    const RULES = {
+        'unknown-effect': 'Effects that aren\'t in the canonical effect list',
+        'near-duplicate-name': 'Drug names within a couple of edits of another drug',
+        'name-casing': 'Drug names that don\'t start with a capital letter like the rest',
+        'unresolved-component': 'Recipe components that aren\'t a drug in the database or a known ingredient',
+        'cycle': 'Recipes that end up depending on themselves',
+        'duplicate-name': 'More than one entry with the same Drug Name',
+        'name-collision': 'Drug names defined in more than one database, which recipes elsewhere have to qualify'
+    };
+
+    // Names this close together (in edits) are reported as possible duplicates or typos
+    const NEAR_DUPLICATE_DISTANCE = 2;
+
+    // Edit distance counting insertions, deletions, substitutions and swapped neighbours as one edit each
+    function editDistance(a, b) {
+        const d = [];
+        for (let i = 0; i <= a.length; i++) d[i] = [i];
+        for (let j = 0; j <= b.length; j++) d[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+
+    // Closest candidate to a name (case-insensitive) within maxDistance edits, or null
+    function closestMatch(name, candidates, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+        let best = null;
+        let bestDistance = maxDistance + 1;
+        candidates.forEach(candidate => {
+            const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Check every database. `databases` maps a database name to its list of drugs. Options:
+    //   effects - canonical effect names (e.g. the keys of mix-rules.json's effects)
+    //   knownBasics - raw ingredient names recipes may use without defining them
+    //   linkedDrugs - per database, drugs from elsewhere its recipes may use (see Catalogue.buildResolutionData)
+    // Returns { issues: [{ severity, rule, database, drug, message }], errors, warnings }.
+    function lintDatabases(databases, options = {}) {
+        const issues = [];
+        const effects = options.effects || [];
+        const basicNames = DataIO.PRECURSORS.concat(options.knownBasics || []);
+        const basics = new Set(basicNames.map(RecipeEngine.normalizeName));
+        const report = (severity, rule, database, drug, message) => {
+            issues.push({ severity, rule, database, drug, message });
+        };
+
+        Object.keys(databases).forEach(database => {
+            const drugsData = databases[database] || [];
+            const names = drugsData.map(drug => drug['Drug Name']);
+            const linked = (options.linkedDrugs || {})[database] || [];
+
+            // Duplicate and oddly cased names
+            const seen = new Map();
+            names.forEach(name => {
+                const key = name.toLowerCase();
+                if (seen.has(key)) {
+                    report('error', 'duplicate-name', database, name, `"${name}" is listed more than once (also as "${seen.get(key)}").`);
+                } else {
+                    seen.set(key, name);
+                }
+                if (/^[a-z]/.test(name)) {
+                    report('warning', 'name-casing', database, name, `"${name}" starts with a lowercase letter, unlike the other names.`);
+                }
+            });
+
+            // Names a couple of edits apart (each pair reported once)
+            const unique = Array.from(seen.values());
+            unique.forEach((name, i) => {
+                unique.slice(i + 1).forEach(other => {
+                    if (editDistance(name.toLowerCase(), other.toLowerCase()) <= NEAR_DUPLICATE_DISTANCE) {
+                        report('warning', 'near-duplicate-name', database, name, `"${name}" is very close to "${other}"; check they're meant to be different drugs.`);
+                    }
+                });
+            });
+
+            drugsData.forEach(drug => {
+                const name = drug['Drug Name'];
+
+                // Effects against the canonical list ("None" is the placeholder for no effects)
+                if (effects.length > 0) {
+                    RecipeEngine.parseEffects(drug.Effects).forEach(effect => {
+                        if (effects.includes(effect) || effect.toLowerCase() === 'none') return;
+
+                        const sameLetters = effects.find(known => known.toLowerCase() === effect.toLowerCase());
+                        if (sameLetters) {
+                            report('warning', 'unknown-effect', database, name, `Effect "${effect}" should be written "${sameLetters}".`);
+                            return;
+                        }
+                        const suggestion = closestMatch(effect, effects);
+                        report('error', 'unknown-effect', database, name, `Unknown effect "${effect}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}.`);
+                    });
+                }
+
+                // Components must be a drug in this database (or a linked one) or a known ingredient
+                RecipeEngine.parseRecipe(drug.Recipe).forEach(component => {
+                    if (RecipeEngine.findDrugByName(drugsData, component)) return;
+                    if (RecipeEngine.findDrugByName(linked, component)) return;
+                    if (basics.has(RecipeEngine.normalizeName(component))) return;
+
+                    const suggestion = closestMatch(component, names.concat(basicNames));
+                    report('error', 'unresolved-component', database, name, `Recipe component "${component}" doesn't match any drug or ingredient${suggestion ? ` (did you mean "${suggestion}"?)` : ''}.`);
+                });
+            });
+
+            RecipeEngine.findCycles(drugsData).forEach(cycle => {
+                report('error', 'cycle', database, cycle[0], `Circular recipe: ${cycle.join(' -> ')}.`);
+            });
+        });
+
+        // The same name in several databases (reported against each database after the first)
+        const firstSeen = new Map();
+        Object.keys(databases).forEach(database => {
+            (databases[database] || []).forEach(drug => {
+                const key = drug['Drug Name'].toLowerCase();
+                if (!firstSeen.has(key)) {
+                    firstSeen.set(key, database);
+                } else if (firstSeen.get(key) !== database) {
+                    const other = firstSeen.get(key);
+                    report('warning', 'name-collision', database, drug['Drug Name'],
+                        `"${drug['Drug Name']}" is also defined in ${other}; recipes in other databases have to write "${drug['Drug Name']} (${other.replace(/\.json$/, '')})" or "${drug['Drug Name']} (${database.replace(/\.json$/, '')})".`);
+                }
+            });
+        });
+
+        return {
+            issues,
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length
+        };
+    }
+
+    return {
+        RULES,
+        editDistance,
+        closestMatch,
+        lintDatabases
+    };
+});
@@ -0,0 +1,127 @@
+// Database registry: the product databases listed in databases.json, each with an id (used in
+// URLs), a label, the JSON file holding its drugs, a button colour, the base product the mixer
+// starts from and, optionally, the version label of that file and older snapshots of it
+// (see versions.js). Adding a database is a matter of adding its file and an entry to the manifest.
+// Works as a CommonJS module in Node and exposes window.DatabaseRegistry in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DatabaseRegistry = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Where the manifest lives, relative to the page
+    const MANIFEST_FILE = 'databases.json';
+
+    // Ids taken by the built-in "My Recipes" and "All" views
+    const RESERVED_IDS = ['custom', 'all'];
+
+    // Button colour for entries that don't give one
+    const DEFAULT_COLOR = '#6c5ce7';
+
+    // Lowercase letters, digits and dashes, so ids read well in a URL
+    const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+    // Check a database's list of snapshots, oldest first. Bad snapshots are reported and left out.
+    function normalizeSnapshots(entry, where, files, errors) {
+        const snapshots = [];
+        const current = entry.version ? String(entry.version).trim() : null;
+
+        if (entry.snapshots === undefined) return snapshots;
+        if (!Array.isArray(entry.snapshots)) {
+            errors.push(`${where} has snapshots that aren't a list`);
+            return snapshots;
+        }
+
+        entry.snapshots.forEach((snapshot, i) => {
+            const version = String((snapshot && snapshot.version) || '').trim();
+            const file = String((snapshot && snapshot.file) || '').trim();
+            const which = `${where} snapshot ${i + 1}`;
+
+            if (!version) {
+                errors.push(`${which} needs a version`);
+            } else if (version === current || snapshots.some(other => other.version === version)) {
+                errors.push(`${which} repeats the version "${version}"`);
+            } else if (!/\.json$/i.test(file)) {
+                errors.push(`${which} ("${version}") needs a .json file`);
+            } else if (files.has(file)) {
+                errors.push(`${which} ("${version}") repeats the file "${file}"`);
+            } else {
+                files.add(file);
+                snapshots.push({ version, file });
+            }
+        });
+
+        return snapshots;
+    }
+
+    // Check a parsed manifest and fill in defaults. Invalid entries are left out and described in
+    // `errors`, so one bad line doesn't take the other databases down with it.
+    // Returns { databases: [{ id, label, file, color, baseProduct, version, snapshots }], errors: [] }.
+    function normalizeManifest(manifest) {
+        const databases = [];
+        const errors = [];
+        const files = new Set(); // Current and snapshot files, which mustn't repeat
+
+        if (!Array.isArray(manifest)) {
+            return { databases, errors: [`${MANIFEST_FILE} must be a list of databases`] };
+        }
+
+        manifest.forEach((entry, i) => {
+            const where = `Entry ${i + 1}`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${where} is not an object`);
+                return;
+            }
+
+            const id = String(entry.id || '').trim();
+            const file = String(entry.file || '').trim();
+
+            if (!ID_PATTERN.test(id)) {
+                errors.push(`${where} needs an id made of lowercase letters, digits and dashes`);
+            } else if (RESERVED_IDS.includes(id)) {
+                errors.push(`${where} uses the reserved id "${id}"`);
+            } else if (databases.some(database => database.id === id)) {
+                errors.push(`${where} repeats the id "${id}"`);
+            } else if (!/\.json$/i.test(file)) {
+                errors.push(`${where} ("${id}") needs a .json file`);
+            } else if (files.has(file)) {
+                errors.push(`${where} ("${id}") repeats the file "${file}"`);
+            } else {
+                files.add(file);
+                databases.push({
+                    id,
+                    label: String(entry.label || '').trim() || id,
+                    file,
+                    color: String(entry.color || '').trim() || DEFAULT_COLOR,
+                    baseProduct: entry.baseProduct ? String(entry.baseProduct).trim() : null,
+                    version: entry.version ? String(entry.version).trim() : null,
+                    snapshots: normalizeSnapshots(entry, `${where} ("${id}")`, files, errors)
+                });
+            }
+        });
+
+        return { databases, errors };
+    }
+
+    // Look up a registry entry by its file (the key databases are stored under) or its id
+    function findDatabase(databases, fileOrId) {
+        return databases.find(database => database.file === fileOrId || database.id === fileOrId) || null;
+    }
+
+    // Every file a manifest's databases load from: the current files, then their snapshots
+    function listFiles(databases) {
+        return databases.map(database => database.file)
+            .concat(...databases.map(database => database.snapshots.map(snapshot => snapshot.file)));
+    }
+
+    return {
+        MANIFEST_FILE,
+        RESERVED_IDS,
+        DEFAULT_COLOR,
+        normalizeManifest,
+        findDatabase,
+        listFiles
+    };
+});
@@ -0,0 +1,228 @@
+// Goal search: finds ingredient sequences that give a base product a requested set of effects,
+// starting either from the bare base or from a known recipe that's already partway there.
+// Works as a CommonJS module in Node and exposes window.GoalSearch in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./mixer'), require('./cost-model'));
+    } else {
+        root.GoalSearch = factory(root.Mixer, root.CostModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Mixer, CostModel) {
+    // Stop expanding once this many distinct effect sets have been seen, to keep the browser responsive
+    const MAX_STATES = 50000;
+
+    // Order-independent key for a set of effects
+    function stateKey(effects) {
+        return effects.slice().sort().join('|');
+    }
+
+    // Cost of the ingredients in a sequence (unpriced ingredients count as free)
+    function ingredientCost(priceTable, ingredients) {
+        return ingredients.reduce((sum, name) => sum + (CostModel.getUnitPrice(priceTable, name) || 0), 0);
+    }
+
+    // Starting points for a search: the bare base plus every known product mixed from that base
+    function collectStartPoints(rules, priceTable, baseName, knownProducts) {
+        const base = Mixer.findBase(rules, baseName);
+        const baseCost = CostModel.unitCostOf(knownProducts || [], base, priceTable);
+        const starts = [{
+            type: 'base',
+            name: base,
+            chain: [],
+            effects: rules.bases[base].effects.slice(),
+            cost: baseCost
+        }];
+
+        (knownProducts || []).forEach(drug => {
+            const name = drug['Drug Name'];
+            const chain = Mixer.resolveMixChain(rules, knownProducts, name);
+            if (!chain || chain.base !== base || chain.ingredients.length === 0) return;
+
+            starts.push({
+                type: 'product',
+                name,
+                recipe: drug.Recipe,
+                chain: chain.ingredients,
+                effects: Mixer.parseEffectList(rules, drug.Effects),
+                cost: baseCost + ingredientCost(priceTable, chain.ingredients)
+            });
+        });
+
+        return starts;
+    }
+
+    // Rank candidates by step count, ingredient cost or sell price (highest first for price)
+    const RANKINGS = {
+        steps: (a, b) => a.totalSteps - b.totalSteps || a.cost - b.cost,
+        cost: (a, b) => a.cost - b.cost || a.totalSteps - b.totalSteps,
+        price: (a, b) => b.price - a.price || a.totalSteps - b.totalSteps
+    };
+
+    // A search for ingredient sequences of up to maxSteps new mixes that yield every target effect,
+    // run a little at a time so a page can stay responsive: `run(budget)` expands up to `budget`
+    // search nodes (all of them without one) and returns true once the search has finished;
+    // `progress()` reports how far it has got and `result()` ranks what has been found so far. Options: baseName, targetEffects, maxSteps,
+    // rankBy ('steps' | 'cost' | 'price'), limit, knownProducts (database entries to use as
+    // shortcuts, and to cost the base from its recipe).
+    function createSearch(rules, priceTable, options) {
+        const base = Mixer.findBase(rules, options.baseName);
+        if (!base) {
+            throw new Error(`Unknown base product: ${options.baseName}`);
+        }
+
+        const targets = (options.targetEffects || []).map(effect => Mixer.normalizeEffect(rules, effect));
+        const maxSteps = options.maxSteps === undefined ? 4 : options.maxSteps;
+        const rankBy = RANKINGS[options.rankBy] ? options.rankBy : 'steps';
+        const limit = options.limit || 10;
+        const ingredients = Object.keys(rules.ingredients).map(name => ({
+            name,
+            price: CostModel.getUnitPrice(priceTable, name) || 0
+        }));
+        const matchesTarget = effects => targets.every(effect => effects.includes(effect));
+
+        // Every way worth keeping to reach each effect set: those no other way beats on total mixes,
+        // cost and mixes added so far (fewer added leaves more of maxSteps to extend it), so both the
+        // shortest and the cheapest chains survive
+        const best = new Map();
+        const beats = (a, b) => a.totalSteps <= b.totalSteps && a.cost <= b.cost && a.added.length <= b.added.length;
+        const keep = node => {
+            const kept = best.get(node.key) || [];
+            if (kept.some(other => beats(other, node))) return false;
+            best.set(node.key, kept.filter(other => !beats(node, other)).concat(node));
+            return true;
+        };
+
+        // Breadth-first, one level of mixes at a time
+        let frontier = collectStartPoints(rules, priceTable, base, options.knownProducts).map(start => ({
+            key: stateKey(start.effects),
+            start,
+            added: [],
+            effects: start.effects,
+            totalSteps: start.chain.length,
+            cost: start.cost
+        })).filter(keep);
+        let next = [];
+        let position = 0;
+        let depth = 0;
+        let truncated = false;
+        let finished = maxSteps <= 0 || frontier.length === 0;
+
+        function expand(node) {
+            if (!best.get(node.key).includes(node)) return;
+
+            ingredients.forEach(ingredient => {
+                const effects = Mixer.applyIngredient(rules, node.effects, ingredient.name);
+                const child = {
+                    key: stateKey(effects),
+                    start: node.start,
+                    added: node.added.concat(ingredient.name),
+                    effects,
+                    totalSteps: node.totalSteps + 1,
+                    cost: node.cost + ingredient.price
+                };
+                if (!best.has(child.key) && best.size >= MAX_STATES) {
+                    truncated = true;
+                    return;
+                }
+                if (keep(child)) next.push(child);
+            });
+        }
+
+        function run(budget = Infinity) {
+            for (let expanded = 0; expanded < budget && !finished; expanded++) {
+                expand(frontier[position++]);
+                if (position === frontier.length) {
+                    frontier = next;
+                    next = [];
+                    position = 0;
+                    depth++;
+                    finished = truncated || depth >= maxSteps || frontier.length === 0;
+                }
+            }
+            return finished;
+        }
+
+        // How many effect sets have been reached and how many mixes deep the search is
+        function progress() {
+            return { statesExplored: best.size, depth };
+        }
+
+        // One candidate per matching effect set: whichever of its ways the ranking puts first.
+        // `truncated` means the state limit cut the search short, so some mixes may be missing.
+        function result() {
+            const candidates = Array.from(best.values())
+                .filter(nodes => matchesTarget(nodes[0].effects))
+                .map(nodes => nodes.map(node => describeCandidate(rules, base, node)).sort(RANKINGS[rankBy])[0])
+                .sort(RANKINGS[rankBy])
+                .slice(0, limit);
+
+            return { base, targets, rankBy, candidates, statesExplored: best.size, truncated, finished };
+        }
+
+        return { run, progress, result };
+    }
+
+    // Run a whole search (see createSearch) and return its result
+    function findMixes(rules, priceTable, options) {
+        const search = createSearch(rules, priceTable, options);
+        search.run();
+        return search.result();
+    }
+
+    // Turn a search node into step-by-step instructions
+    function describeCandidate(rules, base, node) {
+        let effects = node.start.effects;
+        const steps = node.added.map(ingredient => {
+            effects = Mixer.applyIngredient(rules, effects, ingredient);
+            return {
+                ingredient,
+                effects,
+                price: Mixer.calculatePrice(rules, base, effects),
+                addictiveness: Mixer.calculateAddictiveness(rules, base, effects)
+            };
+        });
+        const price = Mixer.calculatePrice(rules, base, node.effects);
+
+        return {
+            start: {
+                type: node.start.type,
+                name: node.start.name,
+                recipe: node.start.recipe,
+                chain: node.start.chain,
+                effects: node.start.effects,
+                price: Mixer.calculatePrice(rules, base, node.start.effects)
+            },
+            ingredients: node.added,
+            steps,
+            effects: node.effects,
+            totalSteps: node.totalSteps,
+            cost: node.cost,
+            price,
+            profit: price - node.cost,
+            addictiveness: Mixer.calculateAddictiveness(rules, base, node.effects)
+        };
+    }
+
+    // Plain-text instructions for a candidate, one line per step
+    function describeSteps(candidate) {
+        const lines = [];
+        if (candidate.start.type === 'base') {
+            lines.push(`Start with ${candidate.start.name}`);
+        } else {
+            lines.push(`Make ${candidate.start.name} (${candidate.start.recipe})`);
+        }
+        candidate.steps.forEach(step => {
+            lines.push(`Mix in ${step.ingredient} -> ${step.effects.join(', ')}`);
+        });
+        return lines;
+    }
+
+    return {
+        MAX_STATES,
+        collectStartPoints,
+        createSearch,
+        findMixes,
+        describeSteps
+    };
+});
@@ -0,0 +1,95 @@
+// Step-by-step mixing instructions: turns a recipe tree into a numbered build order and
+// exports it as plain text or a Markdown checklist.
+// Works as a CommonJS module in Node and exposes window.Instructions in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Instructions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Whether a tree node is made by mixing (as opposed to a raw material or a recipe-less product)
+    function isMixed(node) {
+        return !node.isBasic && !node.isCircular && node.components && node.components.length > 0;
+    }
+
+    // Build the numbered mixing order for `quantity` of the drug at the root of a recipe tree.
+    // Sub-recipes come before the products that use them; a product needed in several places
+    // gets one step with the combined quantity.
+    function buildMixingSteps(recipeTree, quantity = 1) {
+        const steps = [];
+        const byName = new Map();
+
+        function addStep(key, step) {
+            if (byName.has(key)) {
+                byName.get(key).quantity += step.quantity;
+                byName.get(key).inputs.forEach(input => { input.quantity += step.quantity; });
+                return;
+            }
+            byName.set(key, step);
+            steps.push(step);
+        }
+
+        function visit(node) {
+            if (node.isBasic || node.isCircular) return;
+
+            if (!isMixed(node)) {
+                // Recipe-less products such as OGKush are where a chain starts
+                addStep(node.name.toLowerCase(), { type: 'start', product: node.name, quantity, inputs: [] });
+                return;
+            }
+
+            node.components.forEach(visit);
+            addStep(node.name.toLowerCase(), {
+                type: 'mix',
+                product: node.name,
+                quantity,
+                inputs: node.components.map(component => ({
+                    name: component.name,
+                    quantity,
+                    isIntermediate: !component.isBasic && !component.isCircular
+                }))
+            });
+        }
+
+        visit(recipeTree);
+        steps.forEach((step, i) => { step.number = i + 1; });
+        return steps;
+    }
+
+    // One-line description of a step, e.g. "Mix 20x LAUrkle with 20x Cuke -> 20x TokyoCrack"
+    function describeStep(step) {
+        if (step.type === 'start') {
+            return `Start with ${step.quantity}x ${step.product}`;
+        }
+
+        const inputs = step.inputs.map(input => `${input.quantity}x ${input.name}`);
+        const [first, ...rest] = inputs;
+        const mixed = step.inputs[0].isIntermediate && rest.length > 0
+            ? `Mix ${first} with ${rest.join(' + ')}`
+            : `Combine ${inputs.join(' + ')}`;
+        return `${mixed} -> ${step.quantity}x ${step.product}`;
+    }
+
+    // Plain-text export: a title line followed by numbered steps
+    function toPlainText(drugName, quantity, steps) {
+        const lines = [`${drugName} x${quantity} - Mixing Order`, ''];
+        steps.forEach(step => lines.push(`${step.number}. ${describeStep(step)}`));
+        return lines.join('\n') + '\n';
+    }
+
+    // Markdown export: a heading followed by a task-list checkbox per step
+    function toMarkdown(drugName, quantity, steps) {
+        const lines = [`# ${drugName} x${quantity} - Mixing Order`, ''];
+        steps.forEach(step => lines.push(`- [ ] **${step.number}.** ${describeStep(step)}`));
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        buildMixingSteps,
+        describeStep,
+        toPlainText,
+        toMarkdown
+    };
+});
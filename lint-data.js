@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Data-integrity linter for the recipe databases: `npm run lint-data [-- files...] [--json]`.
+// Checks every database listed in databases.json by default and exits with 1 if any errors are found.
+
+const fs = require('fs');
+const path = require('path');
+
+const DataLint = require('./data-lint');
+const Catalogue = require('./catalogue');
+const DatabaseRegistry = require('./database-registry');
+
+// Read a JSON file relative to the repository
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+}
+
+// The database files databases.json lists; problems with the manifest itself are printed
+function defaultDatabases() {
+    const { databases, errors } = DatabaseRegistry.normalizeManifest(readJson(DatabaseRegistry.MANIFEST_FILE));
+    errors.forEach(error => console.error(`${DatabaseRegistry.MANIFEST_FILE}: ${error}`));
+    return databases.map(database => database.file);
+}
+
+function main(args) {
+    const asJson = args.includes('--json');
+    const files = args.filter(arg => !arg.startsWith('--'));
+
+    const databases = {};
+    (files.length > 0 ? files : defaultDatabases()).forEach(file => {
+        databases[path.basename(file)] = readJson(file);
+    });
+
+    // Recipes may use products from the other databases being checked
+    const linkedDrugs = {};
+    Object.keys(databases).forEach(database => {
+        linkedDrugs[database] = Catalogue.buildResolutionData(databases, database);
+    });
+
+    const prices = readJson('prices.json');
+    const rules = readJson('mix-rules.json');
+    const result = DataLint.lintDatabases(databases, {
+        effects: Object.keys(rules.effects),
+        knownBasics: Object.keys(prices.ingredients)
+            .concat(Object.keys(prices.products))
+            .concat(Object.keys(rules.ingredients)),
+        linkedDrugs
+    });
+
+    if (asJson) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        Object.keys(databases).forEach(database => {
+            const issues = result.issues.filter(issue => issue.database === database);
+            console.log(`${database}: ${issues.length === 0 ? 'no problems found' : `${issues.length} problem${issues.length === 1 ? '' : 's'}`}`);
+            issues.forEach(issue => {
+                console.log(`  ${issue.severity.padEnd(7)} ${issue.rule.padEnd(22)} ${issue.drug}: ${issue.message}`);
+            });
+        });
+        console.log(`\n${result.errors} error${result.errors === 1 ? '' : 's'}, ${result.warnings} warning${result.warnings === 1 ? '' : 's'}`);
+    }
+
+    return result.errors > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
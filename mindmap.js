@@ -1,9 +1,15 @@
-// Flowchart visualization for drug recipes using D3.js
+// Flowchart visualization for drug recipes using D3.js. index.html creates one instance for the
+// Flowchart view and hands it the active database with setData() whenever that changes.
 
 class DrugMindmap {
-    constructor(selector, data) {
+    // `resolutionData` is what recipes resolve against when it's more than `data` itself
+    // (My Recipes builds on the shipped databases)
+    constructor(selector, data, usageIndex, resolutionData) {
         this.selector = selector;
         this.drugsData = data;
+        this.resolutionData = resolutionData || data;
+        // Reverse index for the "Used in" tooltips; defaults to this data only
+        this.usageIndex = usageIndex || RecipeEngine.buildUsageIndex({ flowchart: data });
         this.width = 1000;
         this.height = 800;
         this.nodeWidth = 180;
@@ -12,7 +18,14 @@ class DrugMindmap {
         this.horizontalSpacing = 250;
         this.verticalSpacing = 100;
         this.zoomExtent = [0.1, 3];
+        this.layerSpacing = 240; // Graph mode: distance between levels
+        this.rowSpacing = 80; // Graph mode: distance between nodes in a level
+        this.mode = 'tree'; // 'tree' for one drug's recipe, 'graph' for the whole database
+        this.graphLayout = 'layered'; // 'layered' or 'force'
+        this.effectFilter = '';
+        this.graph = null;
         this.selectedDrug = null;
+        this.onChange = null; // Called when the mode or selected drug changes (the app keeps the URL in sync)
         this.svg = null;
         this.zoomBehavior = null;
         this.nodes = [];
@@ -42,6 +55,22 @@ class DrugMindmap {
 
         this.svg.call(this.zoomBehavior);
 
+        // Arrowheads shared by every link
+        this.svg.append('defs')
+            .append('marker')
+            .attr('id', 'arrowhead')
+            .attr('viewBox', '0 -5 10 10')
+            .attr('refX', 10)
+            .attr('refY', 0)
+            .attr('orient', 'auto')
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .attr('xoverflow', 'visible')
+            .append('path')
+            .attr('d', 'M 0,-5 L 10,0 L 0,5')
+            .attr('fill', '#999')
+            .style('stroke', 'none');
+
         // Create a container for the flowchart
         this.svg.append('g')
             .attr('class', 'flowchart-container')
@@ -54,13 +83,19 @@ class DrugMindmap {
         this.createDrugSelector();
     }
 
-    // Create a legend for the flowchart
+    // Create a legend for the flowchart (different entries for tree and graph mode)
     createLegend() {
+        this.svg.select('g.legend').remove();
         const legend = this.svg.append('g')
             .attr('class', 'legend')
             .attr('transform', 'translate(20, 20)');
 
-        const legendItems = [
+        const legendItems = this.mode === 'graph' ? [
+            { label: 'Ingredient', color: DrugMindmap.graphColors.ingredient, type: 'rect' },
+            { label: 'Base Product', color: DrugMindmap.graphColors.base, type: 'rect' },
+            { label: 'Intermediate', color: DrugMindmap.graphColors.product, type: 'rect' },
+            { label: 'Final Product', color: DrugMindmap.graphColors.final, type: 'rect' }
+        ] : [
             { label: 'Drug', color: '#1f77b4', type: 'rect' },
             { label: 'Basic Component', color: '#2ca02c', type: 'rect' },
             { label: 'Complex Component', color: '#ff7f0e', type: 'rect' },
@@ -107,27 +142,33 @@ class DrugMindmap {
             .style('border-radius', '5px')
             .style('box-shadow', '0 2px 5px rgba(0,0,0,0.2)');
 
-        selectorContainer.append('label')
+        // Switch between one drug's tree and the whole-database graph
+        const modeGroup = selectorContainer.append('div')
+            .attr('class', 'btn-group mb-2')
+            .style('width', '200px');
+
+        modeGroup.selectAll('button')
+            .data([{ mode: 'tree', label: 'Single Drug' }, { mode: 'graph', label: 'Whole Database' }])
+            .enter().append('button')
+            .attr('class', d => `btn btn-sm mode-btn ${d.mode === this.mode ? 'btn-primary' : 'btn-outline-primary'}`)
+            .attr('data-mode', d => d.mode)
+            .text(d => d.label)
+            .on('click', (event, d) => this.setMode(d.mode));
+
+        const treeControls = selectorContainer.append('div').attr('class', 'tree-controls');
+
+        treeControls.append('label')
             .attr('for', 'drug-selector')
             .text('Select Drug: ')
             .style('display', 'block')
             .style('margin-bottom', '5px');
 
-        const selector = selectorContainer.append('select')
+        const selector = treeControls.append('select')
             .attr('id', 'drug-selector')
             .attr('class', 'form-select')
             .style('width', '200px');
 
-        // Add options for each drug
-        selector.append('option')
-            .attr('value', '')
-            .text('-- Select a drug --');
-
-        this.drugsData.sort((a, b) => a['Drug Name'].localeCompare(b['Drug Name'])).forEach(drug => {
-            selector.append('option')
-                .attr('value', drug['Drug Name'])
-                .text(drug['Drug Name']);
-        });
+        this.populateDrugSelector();
 
         // Add event listener
         selector.on('change', (event) => {
@@ -135,10 +176,52 @@ class DrugMindmap {
             if (drugName) {
                 this.visualizeDrugRecipe(drugName);
             } else {
+                this.selectedDrug = null;
                 this.clearVisualization();
+                if (this.onChange) this.onChange();
             }
         });
 
+        // Graph mode controls: layout and effect filter
+        const graphControls = selectorContainer.append('div')
+            .attr('class', 'graph-controls')
+            .style('display', 'none');
+
+        graphControls.append('label')
+            .attr('for', 'graph-layout')
+            .text('Layout: ')
+            .style('display', 'block')
+            .style('margin-bottom', '5px');
+
+        graphControls.append('select')
+            .attr('id', 'graph-layout')
+            .attr('class', 'form-select mb-2')
+            .style('width', '200px')
+            .on('change', (event) => {
+                this.graphLayout = event.target.value;
+                this.visualizeGraph();
+            })
+            .selectAll('option')
+            .data([{ value: 'layered', label: 'Layered' }, { value: 'force', label: 'Force' }])
+            .enter().append('option')
+            .attr('value', d => d.value)
+            .text(d => d.label);
+
+        graphControls.append('label')
+            .attr('for', 'graph-effect')
+            .text('Filter by Effect: ')
+            .style('display', 'block')
+            .style('margin-bottom', '5px');
+
+        graphControls.append('select')
+            .attr('id', 'graph-effect')
+            .attr('class', 'form-select')
+            .style('width', '200px')
+            .on('change', (event) => {
+                this.effectFilter = event.target.value;
+                this.visualizeGraph();
+            });
+
         // Add reset button
         selectorContainer.append('button')
             .attr('id', 'reset-zoom')
@@ -158,16 +241,232 @@ class DrugMindmap {
             .on('click', () => {
                 this.toggleExpandAll();
             });
+
+        // Export the chart as an SVG, or a PNG at the chosen scale
+        const exportGroup = selectorContainer.append('div')
+            .attr('class', 'input-group input-group-sm mt-2')
+            .style('width', '200px');
+
+        exportGroup.append('button')
+            .attr('class', 'btn btn-outline-secondary')
+            .text('SVG')
+            .on('click', () => this.exportSvg());
+
+        exportGroup.append('button')
+            .attr('class', 'btn btn-outline-secondary')
+            .text('PNG')
+            .on('click', () => {
+                this.exportPng(Number(d3.select(this.selector).select('#png-scale').property('value')))
+                    .catch(error => console.error('Error exporting PNG:', error));
+            });
+
+        exportGroup.append('select')
+            .attr('id', 'png-scale')
+            .attr('class', 'form-select')
+            .attr('title', 'PNG scale')
+            .selectAll('option')
+            .data([1, 2, 3, 4])
+            .enter().append('option')
+            .attr('value', d => d)
+            .property('selected', d => d === 2)
+            .text(d => `${d}x`);
+    }
+
+    // Fill the drug dropdown with the current database, keeping the selected drug
+    populateDrugSelector() {
+        const selector = d3.select(this.selector).select('#drug-selector');
+        const names = this.drugsData.map(drug => drug['Drug Name']).sort((a, b) => a.localeCompare(b));
+
+        selector.selectAll('option').remove();
+        selector.selectAll('option')
+            .data([''].concat(names))
+            .enter().append('option')
+            .attr('value', d => d)
+            .text(d => d || '-- Select a drug --');
+        selector.property('value', this.selectedDrug || '');
+    }
+
+    // Switch to another database and redraw whatever is showing
+    setData(data, usageIndex, resolutionData) {
+        this.drugsData = data;
+        this.resolutionData = resolutionData || data;
+        this.usageIndex = usageIndex || RecipeEngine.buildUsageIndex({ flowchart: data });
+        this.graph = null;
+
+        const selected = this.selectedDrug && RecipeEngine.findDrugByName(data, this.selectedDrug);
+        this.selectedDrug = selected ? selected['Drug Name'] : null;
+        this.populateDrugSelector();
+
+        if (this.mode === 'graph') {
+            this.visualizeGraph();
+        } else if (this.selectedDrug) {
+            this.visualizeDrugRecipe(this.selectedDrug);
+        } else {
+            this.clearVisualization();
+        }
     }
 
     // Reset zoom and pan to default
     resetZoom() {
+        if (this.mode === 'graph') {
+            this.fitToView();
+            return;
+        }
         this.svg.transition().duration(750).call(
             this.zoomBehavior.transform,
             d3.zoomIdentity.translate(this.width / 2 - this.nodeWidth, 50).scale(0.8)
         );
     }
 
+    // Area covered by the nodes, with a node's size of margin all round
+    contentBounds() {
+        const xs = this.nodes.map(node => node.x);
+        const ys = this.nodes.map(node => node.y);
+        const minX = Math.min(...xs) - this.nodeWidth;
+        const minY = Math.min(...ys) - this.nodeHeight;
+        return {
+            minX,
+            minY,
+            width: Math.max(...xs) - minX + this.nodeWidth,
+            height: Math.max(...ys) - minY + this.nodeHeight
+        };
+    }
+
+    // Zoom so every node in the graph is visible
+    fitToView() {
+        if (this.nodes.length === 0) return;
+
+        const { minX, minY, width: boundsWidth, height: boundsHeight } = this.contentBounds();
+        const scale = Math.max(this.zoomExtent[0], Math.min(1, this.width / boundsWidth, this.height / boundsHeight) * 0.95);
+
+        this.svg.transition().duration(750).call(
+            this.zoomBehavior.transform,
+            d3.zoomIdentity
+                .translate((this.width - boundsWidth * scale) / 2, (this.height - boundsHeight * scale) / 2)
+                .scale(scale)
+                .translate(-minX, -minY)
+        );
+    }
+
+    // The current chart as a standalone SVG document: sized to fit every node regardless of the
+    // current zoom, with the theme's colours and the chart styles written into the file
+    getSvgString() {
+        if (this.nodes.length === 0) return null;
+
+        const rootStyle = getComputedStyle(document.documentElement);
+        const background = rootStyle.getPropertyValue('--bg-color').trim() || '#ffffff';
+        const textColor = rootStyle.getPropertyValue('--text-color').trim() || '#333333';
+        const padding = 20;
+        const legendHeight = this.svg.selectAll('g.legend > g').size() * 25;
+        const bounds = this.contentBounds();
+        const width = Math.ceil(bounds.width + padding * 2);
+        const height = Math.ceil(bounds.height + padding * 2 + legendHeight);
+
+        const clone = this.svg.node().cloneNode(true);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        clone.removeAttribute('class');
+        clone.querySelector('g.flowchart-container')
+            .setAttribute('transform', `translate(${padding - bounds.minX},${padding + legendHeight - bounds.minY})`);
+        clone.querySelector('g.legend').setAttribute('transform', `translate(${padding}, ${padding})`);
+
+        // Theme colours are CSS variables in the page, so write the resolved values into the file
+        const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+        style.textContent = `
+            text { font-family: Arial, sans-serif; }
+            .legend-text { fill: ${textColor}; font-size: 12px; }
+            .node-title { fill: #ffffff; }
+        `;
+        const backdrop = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        backdrop.setAttribute('width', '100%');
+        backdrop.setAttribute('height', '100%');
+        backdrop.setAttribute('fill', background);
+        clone.insertBefore(backdrop, clone.firstChild);
+        clone.insertBefore(style, clone.firstChild);
+
+        return new XMLSerializer().serializeToString(clone);
+    }
+
+    // File name for exports: the selected drug, or the whole database in graph mode
+    exportFileName(extension) {
+        const name = this.mode === 'graph' ? 'recipe-graph' : (this.selectedDrug || 'flowchart');
+        return `${name.replace(/\s+/g, '-')}.${extension}`;
+    }
+
+    // Download the chart as an SVG file
+    exportSvg() {
+        const svg = this.getSvgString();
+        if (!svg) return;
+        DrugMindmap.download(this.exportFileName('svg'), new Blob([svg], { type: 'image/svg+xml' }));
+    }
+
+    // Download the chart as a PNG, `scale` times the size of the SVG
+    exportPng(scale = 2) {
+        const svg = this.getSvgString();
+        if (!svg) return Promise.resolve();
+
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width * scale;
+                canvas.height = image.height * scale;
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0);
+                URL.revokeObjectURL(url);
+
+                canvas.toBlob(blob => {
+                    DrugMindmap.download(this.exportFileName('png'), blob);
+                    resolve();
+                }, 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render the flowchart as an image'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Save a blob through a temporary download link
+    static download(filename, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Switch between 'tree' and 'graph' mode
+    setMode(mode) {
+        this.mode = mode;
+        const container = d3.select(this.selector);
+        container.selectAll('.mode-btn')
+            .attr('class', function() {
+                const active = this.getAttribute('data-mode') === mode;
+                return `btn btn-sm mode-btn ${active ? 'btn-primary' : 'btn-outline-primary'}`;
+            });
+        container.select('.tree-controls').style('display', mode === 'tree' ? null : 'none');
+        container.select('#toggle-expand').style('display', mode === 'tree' ? null : 'none');
+        container.select('.graph-controls').style('display', mode === 'graph' ? null : 'none');
+        this.createLegend();
+
+        if (mode === 'graph') {
+            this.visualizeGraph();
+        } else if (this.selectedDrug) {
+            this.visualizeDrugRecipe(this.selectedDrug);
+        } else {
+            this.clearVisualization();
+        }
+        if (this.onChange) this.onChange();
+    }
+
     // Toggle expand/collapse all nodes
     toggleExpandAll() {
         const button = d3.select('#toggle-expand');
@@ -189,83 +488,51 @@ class DrugMindmap {
         this.svg.select('g.flowchart-container').selectAll('*').remove();
         this.nodes = [];
         this.links = [];
-        this.selectedDrug = null;
     }
 
     // Find a drug by name
     findDrugByName(name) {
-        return this.drugsData.find(drug => drug['Drug Name'].toLowerCase() === name.toLowerCase());
+        return RecipeEngine.findDrugByName(this.resolutionData, name);
     }
 
-    // Parse recipe to find components
-    parseRecipe(recipeText) {
-        if (!recipeText || recipeText === 'NaN') return [];
-        
-        // Split on '+' which is the common separator in this dataset
-        return recipeText.split(/\s*\+\s*/).map(i => i.trim()).filter(i => i);
+    // Build the hierarchical data structure for the flowchart
+    buildRecipeTree(drugName) {
+        return this.toFlowchartNode(RecipeEngine.buildRecipeTree(this.resolutionData, drugName));
     }
 
-    // Build the hierarchical data structure for the flowchart
-    buildRecipeTree(drugName, visited = new Set()) {
-        // Prevent infinite recursion
-        if (visited.has(drugName.toLowerCase())) {
-            return { 
-                name: drugName, 
-                components: [], 
-                isCircular: true,
-                _children: null,
-                children: null
-            };
-        }
-        
-        visited.add(drugName.toLowerCase());
-        
-        const drug = this.findDrugByName(drugName);
-        if (!drug) {
-            return { 
-                name: drugName, 
-                components: [], 
-                isBasic: true,
-                _children: null,
-                children: null
-            };
-        }
-        
-        const components = this.parseRecipe(drug.Recipe);
-        const recipeTree = {
-            name: drug['Drug Name'],
-            recipe: drug.Recipe,
-            price: drug.Price,
-            effects: drug.Effects,
-            addictiveness: drug.Addictiveness,
-            components: [],
-            children: [],
+    // Add the children/_children fields D3 uses for expanding and collapsing
+    toFlowchartNode(recipeTree) {
+        const isLeaf = recipeTree.isBasic || recipeTree.isCircular;
+        const node = {
+            ...recipeTree,
+            components: recipeTree.components.map(component => this.toFlowchartNode(component)),
             _children: null
         };
-        
-        for (const component of components) {
-            const childTree = this.buildRecipeTree(component, new Set(visited));
-            recipeTree.components.push(childTree);
-            recipeTree.children.push(childTree);
-        }
-        
-        return recipeTree;
+        node.children = isLeaf ? null : node.components;
+        return node;
     }
 
-    // Assign positions to nodes in a hierarchical tree layout
-    assignNodePositions(node, x = this.width / 2, y = 80, level = 0, horizontalOffset = 0) {
-        node.x = x + horizontalOffset;
+    // Number of leaf slots a subtree needs side by side
+    countLeaves(node) {
+        if (!node.children || node.children.length === 0) return 1;
+        return node.children.reduce((sum, child) => sum + this.countLeaves(child), 0);
+    }
+
+    // Assign positions to nodes in a hierarchical tree layout. Each child gets room for all of
+    // its leaves so wide subtrees don't overlap their neighbours.
+    assignNodePositions(node, x = this.width / 2, y = 80, level = 0) {
+        node.x = x;
         node.y = y;
         node.level = level;
         
         if (node.children && node.children.length > 0) {
-            const childCount = node.children.length;
-            const totalWidth = (childCount - 1) * this.horizontalSpacing;
+            const totalWidth = (this.countLeaves(node) - 1) * this.horizontalSpacing;
             let startX = x - totalWidth / 2;
             
-            node.children.forEach((child, i) => {
-                const childX = startX + i * this.horizontalSpacing;
-                this.assignNodePositions(child, childX, y + this.verticalSpacing, level + 1);
+            node.children.forEach(child => {
+                const childWidth = (this.countLeaves(child) - 1) * this.horizontalSpacing;
+                this.assignNodePositions(child, startX + childWidth / 2, y + this.verticalSpacing, level + 1);
+                startX += childWidth + this.horizontalSpacing;
             });
         }
     }
@@ -292,8 +559,14 @@ class DrugMindmap {
 
     // Visualize the recipe for a specific drug
     visualizeDrugRecipe(drugName) {
+        if (this.mode !== 'tree') {
+            this.selectedDrug = drugName;
+            this.setMode('tree');
+            return;
+        }
         this.clearVisualization();
         this.selectedDrug = drugName;
+        d3.select(this.selector).select('#drug-selector').property('value', drugName);
         
         // Build the recipe tree
         const recipeTree = this.buildRecipeTree(drugName);
@@ -309,32 +582,17 @@ class DrugMindmap {
         
         // Center the view on the root node
         this.resetZoom();
+        if (this.onChange) this.onChange();
     }
 
     // Create the visualization elements
     createVisualization() {
         const container = this.svg.select('g.flowchart-container');
+        const usageIndex = this.usageIndex;
         
         // Create links with arrowheads
         container.selectAll('.link').remove();
         
-        // Add arrow marker definitions
-        const defs = this.svg.append('defs');
-        
-        defs.append('marker')
-            .attr('id', 'arrowhead')
-            .attr('viewBox', '0 -5 10 10')
-            .attr('refX', 10)
-            .attr('refY', 0)
-            .attr('orient', 'auto')
-            .attr('markerWidth', 6)
-            .attr('markerHeight', 6)
-            .attr('xoverflow', 'visible')
-            .append('path')
-            .attr('d', 'M 0,-5 L 10,0 L 0,5')
-            .attr('fill', '#999')
-            .style('stroke', 'none');
-        
         const link = container.append('g')
             .attr('class', 'links')
             .selectAll('path')
@@ -416,19 +674,190 @@ class DrugMindmap {
             .text(d => d.name)
             .style('font-size', d => d.depth === 0 ? '14px' : '12px')
             .style('font-weight', d => d.depth === 0 ? 'bold' : 'normal')
-            .style('fill', 'white')
-            .each(function(d) {
-                // Add title for tooltip
-                const nodeGroup = d3.select(this.parentNode);
-                let tooltipContent = `<strong>${d.name}</strong>`;
-                
-                if (d.recipe) tooltipContent += `<br>Recipe: ${d.recipe}`;
-                if (d.price) tooltipContent += `<br>Price: $${d.price}`;
-                if (d.effects && d.effects !== 'NaN') tooltipContent += `<br>Effects: ${d.effects}`;
-                if (d.addictiveness) tooltipContent += `<br>Addictiveness: ${d.addictiveness}`;
-                
-                nodeGroup.append('title').text(tooltipContent);
+            .style('fill', 'white');
+        
+        // Add title for tooltip
+        node.append('title').text(d => DrugMindmap.describeNode(d, usageIndex));
+    }
+
+    // Tooltip text for a node: name, recipe, price, effects, addictiveness and direct uses
+    static describeNode(d, usageIndex) {
+        let tooltipContent = d.name;
+        
+        if (d.recipe) tooltipContent += `\nRecipe: ${d.recipe}`;
+        if (d.price) tooltipContent += `\nPrice: $${d.price}`;
+        if (d.effects && d.effects !== 'NaN') tooltipContent += `\nEffects: ${d.effects}`;
+        if (d.addictiveness) tooltipContent += `\nAddictiveness: ${d.addictiveness}`;
+        
+        const usedIn = RecipeEngine.findUsages(usageIndex, d.name).filter(u => u.depth === 1);
+        if (usedIn.length > 0) tooltipContent += `\nUsed in: ${usedIn.map(u => u.name).join(', ')}`;
+        
+        return tooltipContent;
+    }
+
+    // Draw every product and ingredient in the database as one graph
+    visualizeGraph() {
+        this.clearVisualization();
+        if (!this.graph) this.graph = RecipeGraph.buildRecipeGraph(this.resolutionData);
+        this.populateEffectFilter();
+
+        const visible = RecipeGraph.filterByEffects(this.graph, this.effectFilter ? [this.effectFilter] : []);
+        if (this.resolutionData !== this.drugsData) {
+            // Only this database's drugs and what they're made from, not all of the linked data
+            const own = new Set();
+            this.drugsData.forEach(drug => {
+                const id = RecipeEngine.normalizeName(drug['Drug Name']);
+                own.add(id);
+                RecipeGraph.relatedNodes(this.graph, id).ancestors.forEach(ancestor => own.add(ancestor));
             });
+            Array.from(visible).forEach(id => { if (!own.has(id)) visible.delete(id); });
+        }
+        this.nodes = this.graph.nodes.filter(node => visible.has(node.id)).map(node => ({ ...node }));
+        const nodeById = new Map(this.nodes.map(node => [node.id, node]));
+        this.links = this.graph.links
+            .filter(link => nodeById.has(link.source) && nodeById.has(link.target))
+            .map(link => ({ ...link, source: nodeById.get(link.source), target: nodeById.get(link.target) }));
+
+        if (this.graphLayout === 'force') {
+            this.layoutForce();
+        } else {
+            this.layoutLayered(visible, nodeById);
+        }
+
+        this.createGraphVisualization();
+        this.fitToView();
+    }
+
+    // Fill the effect filter with every effect in the database, keeping the current choice
+    populateEffectFilter() {
+        const select = d3.select(this.selector).select('#graph-effect');
+        const effects = [''].concat(RecipeGraph.listEffects(this.graph));
+        if (!effects.includes(this.effectFilter)) this.effectFilter = '';
+
+        select.selectAll('option').remove();
+        select.selectAll('option')
+            .data(effects)
+            .enter().append('option')
+            .attr('value', d => d)
+            .text(d => d || 'All effects');
+        select.property('value', this.effectFilter);
+    }
+
+    // Layered layout: one column per level (ingredients on the left, top-tier products on the right),
+    // with each column ordered to keep links from crossing
+    layoutLayered(visible, nodeById) {
+        RecipeGraph.orderLayers(this.graph, visible).forEach((layer, column) => {
+            const top = -((layer.length - 1) * this.rowSpacing) / 2;
+            layer.forEach((id, row) => {
+                const node = nodeById.get(id);
+                node.x = column * this.layerSpacing;
+                node.y = top + row * this.rowSpacing;
+            });
+        });
+    }
+
+    // Force layout: links pull related nodes together while each node is held near its level's column
+    layoutForce() {
+        const simulation = d3.forceSimulation(this.nodes)
+            .force('link', d3.forceLink(this.links).distance(this.layerSpacing * 0.6))
+            .force('charge', d3.forceManyBody().strength(-400))
+            .force('x', d3.forceX(d => d.level * this.layerSpacing).strength(0.8))
+            .force('y', d3.forceY(0).strength(0.05))
+            .force('collide', d3.forceCollide(this.nodeWidth / 2))
+            .stop();
+
+        // Settle the layout up front rather than animating it
+        for (let i = 0; i < 300; i++) simulation.tick();
+    }
+
+    // Fill colour for a graph node by its role
+    static graphColor(node) {
+        if (node.type === 'ingredient') return DrugMindmap.graphColors.ingredient;
+        if (node.type === 'base') return DrugMindmap.graphColors.base;
+        return node.outputs.length === 0 ? DrugMindmap.graphColors.final : DrugMindmap.graphColors.product;
+    }
+
+    // Draw the graph nodes and links, with hover highlighting of a node's ancestry and descendants
+    createGraphVisualization() {
+        const container = this.svg.select('g.flowchart-container');
+        const usageIndex = this.usageIndex;
+        const graph = this.graph;
+
+        const link = container.append('g')
+            .attr('class', 'links')
+            .selectAll('path')
+            .data(this.links)
+            .enter().append('path')
+            .attr('class', 'link')
+            .attr('stroke', d => d.isCircular ? '#d62728' : '#999')
+            .attr('stroke-opacity', 0.6)
+            .attr('stroke-width', 1.5)
+            .attr('fill', 'none')
+            .attr('marker-end', 'url(#arrowhead)')
+            .attr('d', d => {
+                const sourceX = d.source.x + this.nodeWidth / 2;
+                const targetX = d.target.x - this.nodeWidth / 2;
+                const bend = Math.max(40, (targetX - sourceX) / 2);
+                return `M ${sourceX} ${d.source.y} 
+                        C ${sourceX + bend} ${d.source.y}, 
+                          ${targetX - bend} ${d.target.y}, 
+                          ${targetX} ${d.target.y}`;
+            });
+
+        const node = container.append('g')
+            .attr('class', 'nodes')
+            .selectAll('g')
+            .data(this.nodes)
+            .enter().append('g')
+            .attr('class', 'node')
+            .attr('transform', d => `translate(${d.x - this.nodeWidth / 2},${d.y - this.nodeHeight / 2})`)
+            .style('cursor', d => d.drug ? 'pointer' : 'default');
+
+        node.append('rect')
+            .attr('width', this.nodeWidth)
+            .attr('height', this.nodeHeight)
+            .attr('rx', this.nodeCornerRadius)
+            .attr('ry', this.nodeCornerRadius)
+            .attr('fill', d => DrugMindmap.graphColor(d));
+
+        node.append('text')
+            .attr('x', this.nodeWidth / 2)
+            .attr('y', this.nodeHeight / 2)
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'middle')
+            .attr('class', 'node-title')
+            .text(d => d.name)
+            .style('font-size', '12px')
+            .style('fill', 'white');
+
+        node.append('title').text(d => DrugMindmap.describeNode(d.drug ? {
+            name: d.name,
+            recipe: d.drug.Recipe,
+            price: d.drug.Price,
+            effects: d.drug.Effects,
+            addictiveness: d.drug.Addictiveness
+        } : d, usageIndex));
+
+        // Hovering a node dims everything that isn't part of its chain
+        node.on('mouseenter', (event, d) => {
+            const related = RecipeGraph.relatedNodes(graph, d.id);
+            const inChain = id => id === d.id || related.ancestors.has(id) || related.descendants.has(id);
+            node.style('opacity', n => inChain(n.id) ? 1 : 0.15);
+            link.style('opacity', l => inChain(l.source.id) && inChain(l.target.id) ? 1 : 0.05)
+                .attr('stroke', l => {
+                    if (related.ancestors.has(l.source.id) && (l.target.id === d.id || related.ancestors.has(l.target.id))) return '#2ca02c';
+                    if (related.descendants.has(l.target.id) && (l.source.id === d.id || related.descendants.has(l.source.id))) return '#1f77b4';
+                    return l.isCircular ? '#d62728' : '#999';
+                });
+        }).on('mouseleave', () => {
+            node.style('opacity', 1);
+            link.style('opacity', 1).attr('stroke', l => l.isCircular ? '#d62728' : '#999');
+        });
+
+        // Clicking a drug opens its recipe tree
+        node.on('click', (event, d) => {
+            if (d.drug) this.visualizeDrugRecipe(d.drug['Drug Name']);
+        });
     }
 
     // Update the visualization after changes
@@ -504,122 +933,10 @@ class DrugMindmap {
     }
 }
 
-// Initialize the flowchart when the DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-    // Add a tab for the flowchart visualization
-    const navbarNav = document.querySelector('#navbarNav .navbar-nav');
-    const flowchartTab = document.createElement('li');
-    flowchartTab.className = 'nav-item';
-    flowchartTab.innerHTML = `<a class="nav-link" href="#" id="flowchartTab">Flowchart</a>`;
-    navbarNav.insertBefore(flowchartTab, navbarNav.lastElementChild);
-    
-    // Add a container for the flowchart
-    const container = document.querySelector('.container');
-    const flowchartContainer = document.createElement('div');
-    flowchartContainer.id = 'flowchartContainer';
-    flowchartContainer.className = 'row d-none';
-    flowchartContainer.innerHTML = `
-        <div class="col-12">
-            <div class="card">
-                <div class="card-header">
-                    <h5 class="mb-0">Drug Recipe Flowchart</h5>
-                </div>
-                <div class="card-body p-0">
-                    <div id="mindmap" style="width: 100%; height: 700px; position: relative;"></div>
-                </div>
-            </div>
-        </div>
-    `;
-    container.insertBefore(flowchartContainer, document.getElementById('drugsContainer'));
-    
-    // Add CSS for the flowchart
-    const style = document.createElement('style');
-    style.textContent = `
-        #mindmap {
-            background-color: var(--bg-color);
-            transition: background-color 0.3s ease;
-        }
-        .flowchart-svg {
-            cursor: move;
-        }
-        .node text {
-            fill: var(--text-color);
-            pointer-events: none;
-            transition: fill 0.3s ease;
-        }
-        .legend-text {
-            fill: var(--text-color);
-            font-size: 12px;
-            transition: fill 0.3s ease;
-        }
-        .drug-selector-container {
-            color: var(--text-color);
-            transition: color 0.3s ease, background-color 0.3s ease;
-        }
-    `;
-    document.head.appendChild(style);
-    
-    // Add event listeners for tab switching
-    const homeTab = document.querySelector('.nav-link.active');
-    const flowchartTabLink = document.getElementById('flowchartTab');
-    const drugsContainer = document.getElementById('drugsContainer');
-    
-    homeTab.addEventListener('click', function(e) {
-        e.preventDefault();
-        homeTab.classList.add('active');
-        flowchartTabLink.classList.remove('active');
-        drugsContainer.classList.remove('d-none');
-        flowchartContainer.classList.add('d-none');
-    });
-    
-    flowchartTabLink.addEventListener('click', function(e) {
-        e.preventDefault();
-        homeTab.classList.remove('active');
-        flowchartTabLink.classList.add('active');
-        drugsContainer.classList.add('d-none');
-        flowchartContainer.classList.remove('d-none');
-        
-        // Initialize the flowchart if it hasn't been initialized yet
-        if (!window.drugMindmap) {
-            // Load D3.js dynamically
-            if (!window.d3) {
-                const script = document.createElement('script');
-                script.src = 'https://d3js.org/d3.v7.min.js';
-                script.onload = function() {
-                    // Fetch the drug data and initialize the flowchart
-                    fetch('data.json')
-                        .then(response => response.json())
-                        .then(data => {
-                            window.drugMindmap = new DrugMindmap('#mindmap', data);
-                            window.drugMindmap.init();
-                        })
-                        .catch(error => {
-                            console.error('Error loading drug data:', error);
-                            document.getElementById('mindmap').innerHTML = `
-                                <div class="alert alert-danger m-3">
-                                    Failed to load drug data. Please try again later.
-                                </div>
-                            `;
-                        });
-                };
-                document.head.appendChild(script);
-            } else {
-                // D3 is already loaded, just initialize the flowchart
-                fetch('data.json')
-                    .then(response => response.json())
-                    .then(data => {
-                        window.drugMindmap = new DrugMindmap('#mindmap', data);
-                        window.drugMindmap.init();
-                    })
-                    .catch(error => {
-                        console.error('Error loading drug data:', error);
-                        document.getElementById('mindmap').innerHTML = `
-                            <div class="alert alert-danger m-3">
-                                Failed to load drug data. Please try again later.
-                            </div>
-                        `;
-                    });
-            }
-        }
-    });
-});
\ No newline at end of file
+// Graph mode node colours by role
+DrugMindmap.graphColors = {
+    ingredient: '#2ca02c',
+    base: '#9467bd',
+    product: '#ff7f0e',
+    final: '#1f77b4'
+};
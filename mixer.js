@@ -0,0 +1,179 @@
+// Effect-mixing simulator: predicts effects, addictiveness and price for a base product plus a
+// sequence of ingredients, using the rules table in mix-rules.json.
+// Works as a CommonJS module in Node and exposes window.Mixer in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'));
+    } else {
+        root.Mixer = factory(root.RecipeEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine) {
+    // Find the entry in a rules section whose name matches, returning its canonical name. Names are
+    // compared ignoring case, spaces and dashes ("Mega Bean" = "MegaBean", "Anti-gravity" = "Anti-Gravity").
+    function findKey(section, name) {
+        if (section && Object.prototype.hasOwnProperty.call(section, name)) return name;
+        const key = RecipeEngine.normalizeName(name);
+        return Object.keys(section || {}).find(entry => RecipeEngine.normalizeName(entry) === key);
+    }
+
+    // Canonical spelling of an effect from the rules table, or the name unchanged if it's unknown
+    function normalizeEffect(rules, effect) {
+        return findKey(rules.effects, effect) || effect;
+    }
+
+    // Parse an Effects string into canonical effect names ("None" means no effects)
+    function parseEffectList(rules, effectsText) {
+        return RecipeEngine.parseEffects(effectsText)
+            .filter(effect => effect.toLowerCase() !== 'none')
+            .map(effect => normalizeEffect(rules, effect));
+    }
+
+    // Find a base product or ingredient in the rules table (canonical name or undefined)
+    function findBase(rules, name) {
+        return findKey(rules.bases, name);
+    }
+
+    function findIngredient(rules, name) {
+        return findKey(rules.ingredients, name);
+    }
+
+    // Apply one ingredient to a list of effects. Transforms are checked against the effects present
+    // before mixing, and the ingredient's own effect is added last if there's room for it.
+    function applyIngredient(rules, effects, ingredientName) {
+        const ingredient = rules.ingredients[findIngredient(rules, ingredientName)];
+        if (!ingredient) {
+            throw new Error(`Unknown ingredient: ${ingredientName}`);
+        }
+
+        const before = effects.slice();
+        const result = effects.slice();
+
+        Object.keys(ingredient.transforms || {}).forEach(from => {
+            const to = ingredient.transforms[from];
+            const index = result.indexOf(from);
+            if (before.includes(from) && index !== -1 && !result.includes(to)) {
+                result[index] = to;
+            }
+        });
+
+        if (!result.includes(ingredient.adds) && result.length < rules.maxEffects) {
+            result.push(ingredient.adds);
+        }
+
+        return result;
+    }
+
+    // Sell price of a base product carrying a set of effects
+    function calculatePrice(rules, baseName, effects) {
+        const base = rules.bases[findBase(rules, baseName)];
+        const multiplier = effects.reduce((sum, effect) => {
+            const rule = rules.effects[normalizeEffect(rules, effect)];
+            return sum + (rule ? rule.multiplier : 0);
+        }, 1);
+        return Math.round(base.price * multiplier);
+    }
+
+    // Addictiveness (0-100) of a base product carrying a set of effects
+    function calculateAddictiveness(rules, baseName, effects) {
+        const base = rules.bases[findBase(rules, baseName)];
+        const total = effects.reduce((sum, effect) => {
+            const rule = rules.effects[normalizeEffect(rules, effect)];
+            return sum + (rule ? rule.addictiveness : 0);
+        }, base.addictiveness);
+        return Math.min(100, Math.round(total));
+    }
+
+    // Simulate mixing ingredients into a base one at a time, reporting the state after every step
+    function simulateMix(rules, baseName, ingredients) {
+        const base = findBase(rules, baseName);
+        if (!base) {
+            throw new Error(`Unknown base product: ${baseName}`);
+        }
+
+        let effects = rules.bases[base].effects.slice();
+        const describe = ingredient => ({
+            ingredient,
+            effects: effects.slice(),
+            price: calculatePrice(rules, base, effects),
+            addictiveness: calculateAddictiveness(rules, base, effects)
+        });
+
+        const steps = [describe(null)];
+        ingredients.forEach(name => {
+            effects = applyIngredient(rules, effects, name);
+            steps.push(describe(findIngredient(rules, name)));
+        });
+
+        return { base, steps, result: steps[steps.length - 1] };
+    }
+
+    // Resolve a recorded product into its base product and ingredient sequence by walking its
+    // "Product + Ingredient" recipes. Returns null if the chain can't be followed back to a base.
+    function resolveMixChain(rules, drugsData, drugName, visited = new Set()) {
+        const base = findBase(rules, drugName);
+        if (base) return { base, ingredients: [] };
+
+        if (visited.has(drugName.toLowerCase())) return null;
+        visited.add(drugName.toLowerCase());
+
+        const drug = RecipeEngine.findDrugByName(drugsData, drugName);
+        if (!drug) return null;
+
+        const components = RecipeEngine.parseRecipe(drug.Recipe);
+        if (components.length !== 2 || !findIngredient(rules, components[1])) return null;
+
+        const parent = resolveMixChain(rules, drugsData, components[0], visited);
+        if (!parent) return null;
+
+        return { base: parent.base, ingredients: parent.ingredients.concat(findIngredient(rules, components[1])) };
+    }
+
+    // Check every recorded "Product + Ingredient" recipe against the rules. Each check starts from the
+    // parent's recorded effects, so one wrong entry doesn't throw off everything mixed from it.
+    function verifyRecipes(rules, drugsData) {
+        return drugsData.map(drug => {
+            const name = drug['Drug Name'];
+            const recorded = parseEffectList(rules, drug.Effects);
+            const report = { name, recipe: drug.Recipe, recorded, recordedPrice: drug.Price };
+
+            const chain = resolveMixChain(rules, drugsData, name);
+            if (!chain || chain.ingredients.length === 0) {
+                return { ...report, status: 'unresolved' };
+            }
+
+            const [parentName] = RecipeEngine.parseRecipe(drug.Recipe);
+            const parentBase = findBase(rules, parentName);
+            const parentEffects = parentBase
+                ? rules.bases[parentBase].effects.slice()
+                : parseEffectList(rules, RecipeEngine.findDrugByName(drugsData, parentName).Effects);
+
+            const predicted = applyIngredient(rules, parentEffects, chain.ingredients[chain.ingredients.length - 1]);
+            const missing = recorded.filter(effect => !predicted.includes(effect));
+            const extra = predicted.filter(effect => !recorded.includes(effect));
+
+            return {
+                ...report,
+                chain,
+                predicted,
+                predictedPrice: calculatePrice(rules, chain.base, predicted),
+                missing,
+                extra,
+                status: missing.length === 0 && extra.length === 0 ? 'reproduced' : 'mismatch'
+            };
+        });
+    }
+
+    return {
+        normalizeEffect,
+        parseEffectList,
+        findBase,
+        findIngredient,
+        applyIngredient,
+        calculatePrice,
+        calculateAddictiveness,
+        simulateMix,
+        resolveMixChain,
+        verifyRecipes
+    };
+});
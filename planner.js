@@ -0,0 +1,129 @@
+// Batch production planner: combines several products and quantities into one shopping list,
+// the intermediates to mix first (in dependency order) and overall cost and revenue.
+// Works as a CommonJS module in Node and exposes window.Planner in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'), require('./cost-model'));
+    } else {
+        root.Planner = factory(root.RecipeEngine, root.CostModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine, CostModel) {
+    // localStorage key the planner UI saves the plan under
+    const STORAGE_KEY = 'productionPlan';
+
+    // Number of mixing steps below a node: 0 for bought items, 1 for something mixed only from bought items...
+    function mixLevel(node) {
+        if (node.isCircular || CostModel.isBought(node)) return 0;
+        return 1 + Math.max(...node.components.map(mixLevel));
+    }
+
+    // Combine a list of { name, database, quantity } items into one production plan.
+    // `databases` maps a database name to its list of drugs.
+    function planProduction(databases, items, priceTable) {
+        const shopping = new Map();
+        const intermediates = new Map();
+        const plannedItems = [];
+        let totalCost = 0;
+        let revenue = 0;
+
+        function addTo(map, key, node, quantity, extra) {
+            const entry = map.get(key) || { name: node.name, quantity: 0, ...extra };
+            entry.quantity += quantity;
+            map.set(key, entry);
+        }
+
+        function walk(node, quantity, database, visited) {
+            if (node.isCircular || visited.has(node.name.toLowerCase())) return;
+            visited.add(node.name.toLowerCase());
+
+            if (CostModel.isBought(node)) {
+                addTo(shopping, RecipeEngine.normalizeName(node.name), node, quantity, { unitPrice: CostModel.getUnitPrice(priceTable, node.name) });
+                return;
+            }
+
+            node.components.forEach(component => {
+                if (!component.isCircular && !CostModel.isBought(component)) {
+                    // Intermediates with the same name in different databases are different products
+                    addTo(intermediates, `${database}:${RecipeEngine.normalizeName(component.name)}`, component, quantity, {
+                        database,
+                        recipe: component.recipe,
+                        level: mixLevel(component)
+                    });
+                }
+                walk(component, quantity, database, new Set(visited));
+            });
+        }
+
+        items.forEach(item => {
+            const drugsData = databases[item.database] || [];
+            const drug = RecipeEngine.findDrugByName(drugsData, item.name);
+            const quantity = Math.max(0, parseInt(item.quantity) || 0);
+
+            if (!drug) {
+                plannedItems.push({ ...item, quantity, missing: true, cost: 0, revenue: 0, profit: 0 });
+                return;
+            }
+
+            const tree = RecipeEngine.buildRecipeTree(drugsData, drug['Drug Name']);
+            const economics = CostModel.calculateProfit(tree, priceTable, quantity);
+            walk(tree, quantity, item.database, new Set());
+
+            totalCost += economics.totalCost;
+            revenue += economics.revenue;
+            plannedItems.push({
+                name: drug['Drug Name'],
+                database: item.database,
+                quantity,
+                unitPrice: economics.sellPrice,
+                cost: economics.totalCost,
+                revenue: economics.revenue,
+                profit: economics.profit
+            });
+        });
+
+        const shoppingList = Array.from(shopping.values())
+            .map(entry => ({ ...entry, cost: (entry.unitPrice || 0) * entry.quantity }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const mixOrder = Array.from(intermediates.values())
+            .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+
+        const profit = revenue - totalCost;
+        return {
+            items: plannedItems,
+            shoppingList,
+            intermediates: mixOrder,
+            totalCost,
+            revenue,
+            profit,
+            margin: revenue > 0 ? (profit / revenue) * 100 : 0
+        };
+    }
+
+    // Load the saved plan items from storage (an empty plan if there's nothing valid saved)
+    function loadPlan(storage) {
+        try {
+            const items = JSON.parse(storage.getItem(STORAGE_KEY));
+            return Array.isArray(items) ? items.filter(item => item && item.name && item.database) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Save plan items to storage
+    function savePlan(storage, items) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(items.map(item => ({
+            name: item.name,
+            database: item.database,
+            quantity: item.quantity
+        }))));
+    }
+
+    return {
+        STORAGE_KEY,
+        planProduction,
+        loadPlan,
+        savePlan
+    };
+});
@@ -0,0 +1,298 @@
+// Recipe queries for Node: loads the databases listed in databases.json and answers the same
+// questions the site does (products by effect, recipe trees, material totals, what an ingredient
+// goes into, search, what changed between versions) as plain JSON-ready objects, and saves
+// version snapshots. Shared by cli.js and server.js.
+// Errors carry a `status` (400 for a bad request, 404 for an unknown name) for the HTTP API, which
+// adds 405 for anything but a GET and 500 for errors without a status.
+
+const fs = require('fs');
+const path = require('path');
+
+const RecipeEngine = require('./recipe-engine');
+const Catalogue = require('./catalogue');
+const CostModel = require('./cost-model');
+const Instructions = require('./instructions');
+const Planner = require('./planner');
+const Search = require('./search');
+const DatabaseRegistry = require('./database-registry');
+const Versions = require('./versions');
+
+// An Error with an HTTP status
+function queryError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Read a JSON file from the data directory
+function readJson(dir, file) {
+    return JSON.parse(fs.readFileSync(path.resolve(dir, file), 'utf8'));
+}
+
+// Load every database in databases.json, with prices, and the indexes the queries use.
+// `dir` is where the data files live (the repository by default).
+function loadCatalogue(dir = __dirname) {
+    const { databases: registry, errors } = DatabaseRegistry.normalizeManifest(readJson(dir, DatabaseRegistry.MANIFEST_FILE));
+    if (errors.length > 0) throw new Error(`${DatabaseRegistry.MANIFEST_FILE}: ${errors.join('; ')}`);
+
+    const databases = {};
+    const labels = {};
+    registry.forEach(database => {
+        databases[database.file] = readJson(dir, database.file);
+        labels[database.file] = database.label;
+    });
+
+    const resolution = {};
+    Object.keys(databases).forEach(database => {
+        resolution[database] = Catalogue.buildResolutionData(databases, database, labels);
+    });
+
+    return {
+        dir,
+        registry,
+        databases,
+        labels,
+        resolution,
+        priceTable: fs.existsSync(path.resolve(dir, 'prices.json')) ? readJson(dir, 'prices.json') : { ingredients: {}, products: {} },
+        usageIndex: RecipeEngine.buildUsageIndex(databases),
+        searchIndex: Search.buildSearchIndex(databases, resolution, labels)
+    };
+}
+
+// The registry entry for an id, label or file name ("weed", "Weed", "weed.json")
+function findEntry(catalogue, name) {
+    const wanted = String(name).toLowerCase();
+    const entry = catalogue.registry.find(database =>
+        [database.id, database.label, database.file].some(value => value.toLowerCase() === wanted)
+    );
+    if (!entry) {
+        throw queryError(`Unknown database "${name}". Try one of: ${catalogue.registry.map(database => database.id).join(', ')}`, 404);
+    }
+    return entry;
+}
+
+// The database file for an id, label or file name; null when not given
+function resolveDatabase(catalogue, name) {
+    return name ? findEntry(catalogue, name).file : null;
+}
+
+// Find a product by name, in one database or, without one, in whichever database defines it.
+// Returns { drug, database }; a name several databases define has to say which.
+function findProduct(catalogue, name, databaseName) {
+    const database = resolveDatabase(catalogue, databaseName);
+    if (database) {
+        const drug = RecipeEngine.findDrugByName(catalogue.databases[database], name);
+        if (!drug) throw queryError(`No product called "${name}" in ${catalogue.labels[database]}`, 404);
+        return { drug, database };
+    }
+
+    const resolved = Catalogue.resolveReference(catalogue.databases, name, null, catalogue.labels);
+    if (resolved && resolved.ambiguous) {
+        throw queryError(`"${name}" is in ${resolved.ambiguous.map(db => catalogue.labels[db]).join(' and ')}; pick one with a database`);
+    }
+    if (!resolved) throw queryError(`No product called "${name}"`, 404);
+    return resolved;
+}
+
+// A product as returned by every query
+function productSummary(catalogue, drug, database) {
+    return {
+        name: drug['Drug Name'],
+        database: DatabaseRegistry.findDatabase(catalogue.registry, database).id,
+        price: Number(drug.Price) || 0,
+        addictiveness: parseInt(drug.Addictiveness) || 0,
+        effects: RecipeEngine.parseEffects(drug.Effects),
+        recipe: drug.Recipe || ''
+    };
+}
+
+// Every database: id, label, file, colour, base product and how many products it has
+function listDatabases(catalogue) {
+    return catalogue.registry.map(database => ({ ...database, products: catalogue.databases[database.file].length }));
+}
+
+// Products, optionally from one database and having every effect in `effects` (ignoring case), by name
+function listProducts(catalogue, options = {}) {
+    const only = resolveDatabase(catalogue, options.database);
+    const wanted = (options.effects || []).map(effect => effect.toLowerCase());
+    const products = [];
+
+    Object.keys(catalogue.databases).forEach(database => {
+        if (only && database !== only) return;
+        catalogue.databases[database].forEach(drug => {
+            const summary = productSummary(catalogue, drug, database);
+            const effects = summary.effects.map(effect => effect.toLowerCase());
+            if (wanted.every(effect => effects.includes(effect))) products.push(summary);
+        });
+    });
+
+    return products.sort((a, b) => a.name.localeCompare(b.name) || a.database.localeCompare(b.database));
+}
+
+// Everything about making `quantity` of a product: its recipe tree, raw materials, mixing order
+// and cost / profit
+function recipe(catalogue, name, options = {}) {
+    const quantity = Math.max(1, parseInt(options.quantity) || 1);
+    const { drug, database } = findProduct(catalogue, name, options.database);
+    const tree = RecipeEngine.buildRecipeTree(catalogue.resolution[database], drug['Drug Name']);
+    const materials = RecipeEngine.collectBasicMaterials(tree, quantity);
+    const economics = CostModel.calculateProfit(tree, catalogue.priceTable, quantity);
+
+    return {
+        product: productSummary(catalogue, drug, database),
+        quantity,
+        tree,
+        materials: Object.keys(materials).sort((a, b) => a.localeCompare(b)).map(material => ({ name: material, quantity: materials[material] })),
+        steps: Instructions.buildMixingSteps(tree, quantity).map(Instructions.describeStep),
+        economics: {
+            unitCost: economics.unitCost,
+            totalCost: economics.totalCost,
+            revenue: economics.revenue,
+            profit: economics.profit,
+            margin: economics.margin,
+            unpriced: economics.unpriced
+        }
+    };
+}
+
+// Combined shopping list, intermediates and totals for several products, as the planner works
+// them out. `items` are { name, quantity, database } with the database optional.
+function materialTotals(catalogue, items) {
+    if (!Array.isArray(items) || items.length === 0) throw queryError('List at least one product, e.g. TokyoCrack:20');
+
+    const planned = items.map(item => {
+        const { drug, database } = findProduct(catalogue, item.name, item.database);
+        return { name: drug['Drug Name'], database, quantity: Math.max(1, parseInt(item.quantity) || 1) };
+    });
+    const plan = Planner.planProduction(catalogue.resolution, planned, catalogue.priceTable);
+    const idFor = database => DatabaseRegistry.findDatabase(catalogue.registry, database).id;
+
+    return {
+        ...plan,
+        items: plan.items.map(item => ({ ...item, database: idFor(item.database) })),
+        intermediates: plan.intermediates.map(entry => ({ ...entry, database: idFor(entry.database) }))
+    };
+}
+
+// Every product made from an ingredient or intermediate, directly (depth 1) or further down
+function uses(catalogue, name) {
+    return RecipeEngine.findUsages(catalogue.usageIndex, name).map(usage => ({
+        name: usage.name,
+        database: DatabaseRegistry.findDatabase(catalogue.registry, usage.database).id,
+        depth: usage.depth,
+        via: usage.via,
+        price: Number(usage.price) || 0,
+        recipe: usage.recipe
+    }));
+}
+
+// Ranked search with the site's query syntax (`effect:energizing price:>100 ...`), best first
+function search(catalogue, query, options = {}) {
+    const parsed = Search.parseQuery(query);
+    if (parsed.errors.length > 0) throw queryError(parsed.errors.join('; '));
+
+    const database = resolveDatabase(catalogue, options.database);
+    return Search.search(catalogue.searchIndex, parsed, database ? { database } : {}).map(result => ({
+        ...productSummary(catalogue, result.drug, result.database),
+        score: Math.round(result.score * 100) / 100
+    }));
+}
+
+// A database's versions, oldest first: its snapshots, then the current file (whose version is
+// null unless databases.json gives it one)
+function versionsOf(entry) {
+    return entry.snapshots.map(snapshot => ({ ...snapshot, current: false }))
+        .concat({ version: entry.version, file: entry.file, current: true });
+}
+
+// One version of a database by its label; no label (or "current") is the current file
+function findVersion(entry, label) {
+    const wanted = label ? String(label).trim() : '';
+    const versions = versionsOf(entry);
+    if (!wanted || wanted.toLowerCase() === 'current') return versions[versions.length - 1];
+
+    const found = versions.find(version => version.version === wanted);
+    if (!found) {
+        const known = versions.map(version => version.version || 'current').join(', ');
+        throw queryError(`${entry.label} has no version "${wanted}". Try one of: ${known}`, 404);
+    }
+    return found;
+}
+
+// Every database's versions, or one database's
+function listVersions(catalogue, databaseName) {
+    const entries = databaseName ? [findEntry(catalogue, databaseName)] : catalogue.registry;
+    return entries.map(entry => ({ database: entry.id, versions: versionsOf(entry) }));
+}
+
+// The drugs in one version of a database
+function loadVersion(catalogue, entry, label) {
+    const version = findVersion(entry, label);
+    if (version.current) return { version, drugs: catalogue.databases[entry.file] };
+    return { version, drugs: Versions.readSnapshot(readJson(catalogue.dir, version.file)).drugs };
+}
+
+// What changed in a database between two versions: by default from its latest snapshot to the
+// current file
+function diffVersions(catalogue, databaseName, options = {}) {
+    if (!databaseName) throw queryError('Say which database to compare');
+    const entry = findEntry(catalogue, databaseName);
+    if (!options.from && entry.snapshots.length === 0) {
+        throw queryError(`${entry.label} has no snapshots to compare with`);
+    }
+
+    const from = loadVersion(catalogue, entry, options.from || entry.snapshots[entry.snapshots.length - 1].version);
+    const to = loadVersion(catalogue, entry, options.to);
+    return {
+        database: entry.id,
+        from: from.version.version || 'current',
+        to: to.version.version || 'current',
+        ...Versions.diffDatabases(from.drugs, to.drugs)
+    };
+}
+
+// Save the current file of a database as a snapshot and list it in databases.json. The label
+// defaults to the current version's; the current file then has no label until the manifest gives
+// it the next one.
+function saveSnapshot(catalogue, databaseName, label) {
+    if (!databaseName) throw queryError('Say which database to snapshot');
+    const entry = findEntry(catalogue, databaseName);
+    const version = String(label || entry.version || '').trim();
+    if (!version) throw queryError(`Give the snapshot of ${entry.label} a version label`);
+    if (entry.snapshots.some(snapshot => snapshot.version === version)) {
+        throw queryError(`${entry.label} already has a snapshot called "${version}"`);
+    }
+
+    const file = Versions.snapshotFile(entry.id, version);
+    const target = path.resolve(catalogue.dir, file);
+    if (fs.existsSync(target)) throw queryError(`${file} already exists`);
+
+    const snapshot = Versions.createSnapshot(catalogue.databases[entry.file], version);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(snapshot, null, 2) + '\n');
+
+    const manifest = readJson(catalogue.dir, DatabaseRegistry.MANIFEST_FILE);
+    const raw = manifest.find(database => database.id === entry.id);
+    raw.snapshots = (raw.snapshots || []).concat({ version, file });
+    if (raw.version === version) delete raw.version;
+    fs.writeFileSync(path.resolve(catalogue.dir, DatabaseRegistry.MANIFEST_FILE), JSON.stringify(manifest, null, 4) + '\n');
+
+    entry.snapshots.push({ version, file });
+    if (entry.version === version) entry.version = null;
+    return { database: entry.id, version, file, created: snapshot.created, products: snapshot.drugs.length };
+}
+
+module.exports = {
+    loadCatalogue,
+    resolveDatabase,
+    findProduct,
+    listDatabases,
+    listProducts,
+    recipe,
+    materialTotals,
+    uses,
+    search,
+    listVersions,
+    diffVersions,
+    saveSnapshot
+};
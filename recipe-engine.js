@@ -0,0 +1,277 @@
+// Shared recipe logic used by the catalogue (index.html), the flowchart (mindmap.js) and the tests.
+// Works as a CommonJS module in Node and exposes window.RecipeEngine in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RecipeEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Separators between recipe components: "A + B", "A, B", "A and B"
+    const COMPONENT_SEPARATOR = /\s*(?:,|\+|\band\b)\s*/i;
+
+    // Common sentence patterns in recipes
+    const RECIPE_PATTERNS = [
+        /requires\s+([\w\s]+?)\s+which\s+you\s+create\s+with\s+([\w\s,+]+)/i,  // "requires X which you create with Y and Z"
+        /made\s+with\s+([\w\s,+]+)/i,  // "made with X, Y, and Z"
+        /created\s+using\s+([\w\s,+]+)/i,  // "created using X, Y"
+        /mix\s+([\w\s,+]+)/i,  // "mix X and Y"
+        /combine\s+([\w\s,+]+)/i  // "combine X and Y"
+    ];
+
+    // Split a list of ingredients on the common separators
+    function splitComponents(text) {
+        return text.split(COMPONENT_SEPARATOR).map(c => c.trim()).filter(c => c);
+    }
+
+    // Parse recipe text into its component names
+    function parseRecipe(recipeText) {
+        if (!recipeText || recipeText === 'NaN') return [];
+
+        for (const pattern of RECIPE_PATTERNS) {
+            const match = recipeText.match(pattern);
+            if (match) {
+                // "requires X which you create with Y" lists X before its own ingredients
+                return match.slice(1).reduce((components, group) => components.concat(splitComponents(group)), []);
+            }
+        }
+
+        return splitComponents(recipeText);
+    }
+
+    // Split an Effects string into a list, ignoring 'NaN' placeholders
+    function parseEffects(effectsText) {
+        if (!effectsText || effectsText === 'NaN') return [];
+        return effectsText.split(',').map(e => e.trim()).filter(e => e);
+    }
+
+    // Index a list of drugs by lower-cased name. The first of several drugs with the same name
+    // wins, as it does for a search through the list.
+    function indexDrugs(drugsData) {
+        const index = new Map();
+        drugsData.forEach(drug => {
+            const key = drug['Drug Name'].toLowerCase();
+            if (!index.has(key)) index.set(key, drug);
+        });
+        return index;
+    }
+
+    // Find a drug by name (case-insensitive) in a list of drugs or an index from indexDrugs
+    function findDrugByName(drugsData, name) {
+        if (drugsData instanceof Map) return drugsData.get(name.toLowerCase());
+        return drugsData.find(drug => drug['Drug Name'].toLowerCase() === name.toLowerCase());
+    }
+
+    // Build the recipe tree for a drug. Names that aren't in drugsData become basic components,
+    // and a name already on the current branch is marked circular instead of being expanded again.
+    // drugsData can be a list or an index from indexDrugs; a list is indexed once per tree.
+    function buildRecipeTree(drugsData, drugName, visited = new Set()) {
+        if (!(drugsData instanceof Map)) drugsData = indexDrugs(drugsData);
+
+        if (visited.has(drugName.toLowerCase())) {
+            return { name: drugName, components: [], isCircular: true };
+        }
+
+        visited.add(drugName.toLowerCase());
+
+        const drug = findDrugByName(drugsData, drugName);
+        if (!drug) return { name: drugName, components: [], isBasic: true };
+
+        const recipeTree = {
+            name: drug['Drug Name'],
+            recipe: drug.Recipe,
+            price: drug.Price,
+            effects: drug.Effects,
+            addictiveness: drug.Addictiveness,
+            components: []
+        };
+
+        // Drugs borrowed from another database say which one
+        if (drug.Category) recipeTree.category = drug.Category;
+
+        for (const component of parseRecipe(drug.Recipe)) {
+            recipeTree.components.push(buildRecipeTree(drugsData, component, new Set(visited)));
+        }
+
+        return recipeTree;
+    }
+
+    // Collect all basic materials needed for a recipe tree, keyed by material name
+    function collectBasicMaterials(recipeTree, quantity = 1, materials = {}, visited = new Set()) {
+        // Prevent infinite recursion with circular references
+        if (visited.has(recipeTree.name.toLowerCase())) {
+            return materials;
+        }
+
+        visited.add(recipeTree.name.toLowerCase());
+
+        if (recipeTree.isBasic) {
+            materials[recipeTree.name] = (materials[recipeTree.name] || 0) + quantity;
+        } else if (recipeTree.components && recipeTree.components.length > 0) {
+            // A new visited set per branch lets components be reused in different branches
+            // but prevents infinite recursion within a single branch
+            recipeTree.components.forEach(component => {
+                collectBasicMaterials(component, quantity, materials, new Set(visited));
+            });
+        } else if (!recipeTree.isCircular) {
+            // Products with no recipe (e.g. OGKush) are bought as-is, so count them as raw materials
+            materials[recipeTree.name] = (materials[recipeTree.name] || 0) + quantity;
+        }
+
+        return materials;
+    }
+
+    // Memoized lookups over one list of drugs: find(name), tree(name) and materials(name, quantity).
+    // Trees are built once and shared, so callers mustn't change them; materials come back as a
+    // fresh object each time. Make a new cache when the drugs change.
+    function createRecipeCache(drugsData) {
+        const index = indexDrugs(drugsData);
+        const trees = new Map();
+        const unitMaterials = new Map();
+
+        function tree(name) {
+            const key = name.toLowerCase();
+            if (!trees.has(key)) trees.set(key, buildRecipeTree(index, name));
+            return trees.get(key);
+        }
+
+        // Every material count scales with the quantity, so only one unit is worked out
+        function materials(name, quantity = 1) {
+            const key = name.toLowerCase();
+            if (!unitMaterials.has(key)) unitMaterials.set(key, collectBasicMaterials(tree(name), 1));
+            const perUnit = unitMaterials.get(key);
+            const scaled = {};
+            Object.keys(perUnit).forEach(material => { scaled[material] = perUnit[material] * quantity; });
+            return scaled;
+        }
+
+        return {
+            find: name => findDrugByName(index, name),
+            tree,
+            materials
+        };
+    }
+
+    // Find every recipe cycle in a database. Each cycle is returned as a list of drug names
+    // starting and ending with the same drug, e.g. ['A', 'B', 'A'].
+    function findCycles(drugsData) {
+        const byName = indexDrugs(drugsData);
+        const cycles = [];
+        const seen = new Set();
+        const done = new Set();
+
+        function visit(drug, path) {
+            const key = drug['Drug Name'].toLowerCase();
+            const index = path.findIndex(name => name.toLowerCase() === key);
+            if (index !== -1) {
+                const cycle = path.slice(index).concat(drug['Drug Name']);
+                const signature = cycle.slice(0, -1).map(n => n.toLowerCase()).sort().join('|');
+                if (!seen.has(signature)) {
+                    seen.add(signature);
+                    cycles.push(cycle);
+                }
+                return;
+            }
+            if (done.has(key)) return;
+
+            path.push(drug['Drug Name']);
+            parseRecipe(drug.Recipe).forEach(component => {
+                const child = findDrugByName(byName, component);
+                if (child) visit(child, path);
+            });
+            path.pop();
+            done.add(key);
+        }
+
+        drugsData.forEach(drug => visit(drug, []));
+        return cycles;
+    }
+
+    // True if the drug's recipe tree contains a circular reference
+    function hasCycle(recipeTree) {
+        if (recipeTree.isCircular) return true;
+        return (recipeTree.components || []).some(hasCycle);
+    }
+
+    // Normalise names so spelling variants ("MegaBean", "Mega Bean") share one index entry
+    function normalizeName(name) {
+        return String(name).toLowerCase().replace(/[\s_-]+/g, '');
+    }
+
+    // Reverse index across databases: component name -> products whose recipe uses it directly.
+    // `databases` maps a database name (e.g. 'data.json') to its list of drugs.
+    function buildUsageIndex(databases) {
+        const index = new Map();
+
+        Object.keys(databases).forEach(database => {
+            (databases[database] || []).forEach(drug => {
+                parseRecipe(drug.Recipe).forEach(component => {
+                    const key = normalizeName(component);
+                    if (!index.has(key)) index.set(key, []);
+                    index.get(key).push({
+                        name: drug['Drug Name'],
+                        database,
+                        price: drug.Price,
+                        recipe: drug.Recipe
+                    });
+                });
+            });
+        });
+
+        return index;
+    }
+
+    // Products that use a component directly (depth 1) or through intermediates (depth 2+).
+    // Each product is listed once, at its shallowest depth, with the component it's made from (`via`).
+    function findUsages(usageIndex, name) {
+        const usages = [];
+        const seen = new Set([normalizeName(name)]);
+        let frontier = [name];
+
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(component => {
+                (usageIndex.get(normalizeName(component)) || []).forEach(product => {
+                    const key = `${product.database}:${normalizeName(product.name)}`;
+                    if (seen.has(key) || seen.has(normalizeName(product.name))) return;
+                    seen.add(key);
+                    usages.push({ ...product, depth, via: component });
+                    next.push(product.name);
+                });
+            });
+            frontier = next;
+        }
+
+        return usages;
+    }
+
+    // Every name used as a recipe component anywhere in the index, sorted
+    function listComponents(usageIndex) {
+        const names = new Map();
+        usageIndex.forEach((products, key) => {
+            products.forEach(product => {
+                parseRecipe(product.recipe).forEach(component => {
+                    if (normalizeName(component) === key && !names.has(key)) names.set(key, component);
+                });
+            });
+        });
+        return Array.from(names.values()).sort((a, b) => a.localeCompare(b));
+    }
+
+    return {
+        parseRecipe,
+        parseEffects,
+        indexDrugs,
+        findDrugByName,
+        buildRecipeTree,
+        collectBasicMaterials,
+        createRecipeCache,
+        findCycles,
+        hasCycle,
+        normalizeName,
+        buildUsageIndex,
+        findUsages,
+        listComponents
+    };
+});
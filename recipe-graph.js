@@ -0,0 +1,200 @@
+// Whole-database dependency graph: every product and ingredient appears once, with links from
+// each component to the products made from it. Used by the flowchart's graph mode (mindmap.js).
+// Works as a CommonJS module in Node and exposes window.RecipeGraph in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'));
+    } else {
+        root.RecipeGraph = factory(root.RecipeEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine) {
+    // Barycenter passes used to untangle each layer's order
+    const ORDERING_SWEEPS = 4;
+
+    // Build the graph for a database. Node ids are normalised names, so ingredient spellings like
+    // "MegaBean" and "Mega Bean" share a node. Node types:
+    //   'ingredient' - a component that isn't a drug in the database (Cuke, Acid...)
+    //   'base' - a drug with no recipe (OGKush)
+    //   'product' - a drug made from other things
+    // Each node gets a level: 0 for ingredients and bases, otherwise one more than its deepest input.
+    function buildRecipeGraph(drugsData) {
+        const nodes = new Map();
+        const links = [];
+
+        const addNode = (id, fields) => {
+            if (!nodes.has(id)) nodes.set(id, { id, inputs: [], outputs: [], level: 0, ...fields });
+            return nodes.get(id);
+        };
+
+        drugsData.forEach(drug => {
+            addNode(RecipeEngine.normalizeName(drug['Drug Name']), {
+                name: drug['Drug Name'],
+                type: RecipeEngine.parseRecipe(drug.Recipe).length > 0 ? 'product' : 'base',
+                drug,
+                effects: RecipeEngine.parseEffects(drug.Effects)
+            });
+        });
+
+        drugsData.forEach(drug => {
+            const target = nodes.get(RecipeEngine.normalizeName(drug['Drug Name']));
+            RecipeEngine.parseRecipe(drug.Recipe).forEach(component => {
+                const source = addNode(RecipeEngine.normalizeName(component), {
+                    name: component,
+                    type: 'ingredient',
+                    drug: null,
+                    effects: []
+                });
+                if (source === target || target.inputs.includes(source.id)) return;
+
+                target.inputs.push(source.id);
+                source.outputs.push(target.id);
+                links.push({ source: source.id, target: target.id });
+            });
+        });
+
+        const graph = { nodes: Array.from(nodes.values()), links, byId: nodes };
+        assignLevels(graph);
+        return graph;
+    }
+
+    // Longest path from an ingredient or base to each node. Links that close a cycle are marked
+    // `isCircular` and ignored, so bad data can't loop forever.
+    function assignLevels(graph) {
+        const state = new Map(); // id -> 'visiting' | 'done'
+
+        function visit(node) {
+            if (state.get(node.id) === 'done') return node.level;
+            state.set(node.id, 'visiting');
+
+            node.level = 0;
+            node.inputs.forEach(inputId => {
+                if (state.get(inputId) === 'visiting') {
+                    graph.links.find(link => link.source === inputId && link.target === node.id).isCircular = true;
+                    return;
+                }
+                node.level = Math.max(node.level, visit(graph.byId.get(inputId)) + 1);
+            });
+
+            state.set(node.id, 'done');
+            return node.level;
+        }
+
+        graph.nodes.forEach(visit);
+    }
+
+    // Everything a node is made from (ancestors) and everything made from it (descendants)
+    function relatedNodes(graph, id) {
+        const walk = (startId, direction) => {
+            const found = new Set();
+            const queue = [startId];
+            while (queue.length > 0) {
+                graph.byId.get(queue.shift())[direction].forEach(next => {
+                    if (found.has(next) || next === id) return;
+                    found.add(next);
+                    queue.push(next);
+                });
+            }
+            return found;
+        };
+
+        return { ancestors: walk(id, 'inputs'), descendants: walk(id, 'outputs') };
+    }
+
+    // Every effect used in the graph, sorted
+    function listEffects(graph) {
+        const effects = new Set();
+        graph.nodes.forEach(node => node.effects.forEach(effect => effects.add(effect)));
+        return Array.from(effects).sort((a, b) => a.localeCompare(b));
+    }
+
+    // Ids of drugs that have every one of the effects (case-insensitive) plus everything they're made from.
+    // With no effects, every node is kept.
+    function filterByEffects(graph, effects) {
+        if (!effects || effects.length === 0) return new Set(graph.nodes.map(node => node.id));
+
+        const wanted = effects.map(effect => effect.toLowerCase());
+        const kept = new Set();
+        graph.nodes.forEach(node => {
+            const nodeEffects = node.effects.map(effect => effect.toLowerCase());
+            if (!node.drug || !wanted.every(effect => nodeEffects.includes(effect))) return;
+
+            kept.add(node.id);
+            relatedNodes(graph, node.id).ancestors.forEach(id => kept.add(id));
+        });
+        return kept;
+    }
+
+    // Group visible nodes into layers by level and order each layer to reduce crossing links,
+    // using the average position of each node's neighbours in the layer before (and after).
+    // Returns a list of layers, each a list of node ids.
+    function orderLayers(graph, visibleIds) {
+        const visible = visibleIds || new Set(graph.nodes.map(node => node.id));
+        const layers = [];
+        graph.nodes.forEach(node => {
+            if (!visible.has(node.id)) return;
+            (layers[node.level] = layers[node.level] || []).push(node.id);
+        });
+
+        // Drop empty levels left behind by filtering, then start from alphabetical order
+        const ordered = layers.filter(layer => layer && layer.length > 0)
+            .map(layer => layer.sort((a, b) => graph.byId.get(a).name.localeCompare(graph.byId.get(b).name)));
+
+        const positions = new Map();
+        const remember = layer => layer.forEach((id, i) => positions.set(id, i / Math.max(1, layer.length - 1)));
+        ordered.forEach(remember);
+
+        const barycenter = (id, direction) => {
+            const neighbours = graph.byId.get(id)[direction].filter(other => positions.has(other) && visible.has(other));
+            if (neighbours.length === 0) return positions.get(id);
+            return neighbours.reduce((sum, other) => sum + positions.get(other), 0) / neighbours.length;
+        };
+
+        for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+            const downward = sweep % 2 === 0;
+            const indices = ordered.map((layer, i) => i);
+            (downward ? indices.slice(1) : indices.slice(0, -1).reverse()).forEach(i => {
+                const direction = downward ? 'inputs' : 'outputs';
+                const weights = new Map(ordered[i].map(id => [id, barycenter(id, direction)]));
+                ordered[i].sort((a, b) => weights.get(a) - weights.get(b));
+                remember(ordered[i]);
+            });
+        }
+
+        return ordered;
+    }
+
+    // Number of pairs of links between neighbouring layers that cross each other
+    function countCrossings(graph, layers) {
+        const index = new Map();
+        layers.forEach((layer, l) => layer.forEach((id, i) => index.set(id, { layer: l, position: i })));
+
+        const between = layers.map(() => []);
+        graph.links.forEach(link => {
+            const source = index.get(link.source);
+            const target = index.get(link.target);
+            if (source && target && target.layer === source.layer + 1) {
+                between[source.layer].push([source.position, target.position]);
+            }
+        });
+
+        let crossings = 0;
+        between.forEach(edges => {
+            edges.forEach(([a1, b1], i) => {
+                edges.slice(i + 1).forEach(([a2, b2]) => {
+                    if ((a1 - a2) * (b1 - b2) < 0) crossings++;
+                });
+            });
+        });
+        return crossings;
+    }
+
+    return {
+        buildRecipeGraph,
+        relatedNodes,
+        listEffects,
+        filterByEffects,
+        orderLayers,
+        countCrossings
+    };
+});
@@ -0,0 +1,105 @@
+// Printable recipe sheets: one page per drug with its effects, price, mixing order and the raw
+// materials for a chosen quantity, as a standalone HTML document ready to print.
+// Works as a CommonJS module in Node and exposes window.RecipeSheet in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'), require('./instructions'), require('./templates'));
+    } else {
+        root.RecipeSheet = factory(root.RecipeEngine, root.Instructions, root.Templates);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine, Instructions, Templates) {
+    const escapeHtml = Templates.escapeHtml;
+
+    // Styles for the printed page; each sheet starts on a new page
+    const SHEET_STYLES = `
+        body { font-family: Arial, sans-serif; color: #222; margin: 0; }
+        .sheet { padding: 24px; page-break-after: always; break-after: page; }
+        .sheet:last-child { page-break-after: auto; break-after: auto; }
+        h1 { font-size: 24px; margin: 0 0 4px; }
+        h2 { font-size: 16px; margin: 20px 0 8px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+        .meta { color: #555; margin-bottom: 8px; }
+        .effect { display: inline-block; border: 1px solid #888; border-radius: 10px; padding: 1px 8px; margin: 0 4px 4px 0; font-size: 12px; }
+        table { border-collapse: collapse; width: 100%; }
+        td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+        ol { padding-left: 20px; }
+        li { margin-bottom: 4px; }
+        .box { display: inline-block; width: 12px; height: 12px; border: 1px solid #333; margin-right: 8px; vertical-align: middle; }
+        @media print { .sheet { padding: 0; } }
+    `;
+
+    // Everything printed for one drug: details, materials and numbered mixing steps for `quantity`
+    function buildSheet(drugsData, drugName, quantity = 1) {
+        const drug = RecipeEngine.findDrugByName(drugsData, drugName);
+        if (!drug) return null;
+
+        const tree = RecipeEngine.buildRecipeTree(drugsData, drug['Drug Name']);
+        const materials = RecipeEngine.collectBasicMaterials(tree, quantity);
+
+        return {
+            name: drug['Drug Name'],
+            price: drug.Price,
+            addictiveness: drug.Addictiveness,
+            effects: RecipeEngine.parseEffects(drug.Effects),
+            recipe: drug.Recipe,
+            quantity,
+            materials: Object.keys(materials)
+                .sort((a, b) => a.localeCompare(b))
+                .map(name => ({ name, quantity: materials[name] })),
+            steps: Instructions.buildMixingSteps(tree, quantity).map(Instructions.describeStep)
+        };
+    }
+
+    // Sheets for several drugs at the same quantity, skipping names that aren't found
+    function buildSheets(drugsData, drugNames, quantity = 1) {
+        return drugNames.map(name => buildSheet(drugsData, name, quantity)).filter(sheet => sheet);
+    }
+
+    // HTML for one sheet
+    function sheetHtml(sheet) {
+        const effects = sheet.effects.length > 0
+            ? sheet.effects.map(effect => `<span class="effect">${escapeHtml(effect)}</span>`).join('')
+            : '<em>No effects listed</em>';
+        const materials = sheet.materials.map(material =>
+            `<tr><td>${escapeHtml(material.name)}</td><td>${material.quantity}</td></tr>`
+        ).join('');
+        const steps = sheet.steps.map(step => `<li><span class="box"></span>${escapeHtml(step)}</li>`).join('');
+
+        return `
+    <section class="sheet">
+        <h1>${escapeHtml(sheet.name)} &times; ${sheet.quantity}</h1>
+        <div class="meta">Price: $${escapeHtml(sheet.price)} &middot; Addictiveness: ${escapeHtml(sheet.addictiveness)}</div>
+        <div>${effects}</div>
+        <h2>Recipe</h2>
+        <p>${escapeHtml(sheet.recipe) || '<em>Bought as-is</em>'}</p>
+        <h2>Raw Materials</h2>
+        <table>
+            <thead><tr><th>Material</th><th>Quantity</th></tr></thead>
+            <tbody>${materials}</tbody>
+        </table>
+        <h2>Mixing Order</h2>
+        <ol>${steps}</ol>
+    </section>`;
+    }
+
+    // A standalone HTML document with one printable page per sheet
+    function toHtml(sheets, title = 'Recipe Sheets') {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${SHEET_STYLES}</style>
+</head>
+<body>${sheets.map(sheetHtml).join('')}
+</body>
+</html>
+`;
+    }
+
+    return {
+        buildSheet,
+        buildSheets,
+        toHtml
+    };
+});
@@ -0,0 +1,116 @@
+// Hash routing: turns the app's view state (database and its version, search, filters, sort, open
+// tab or modal, calculator quantity, flowchart focus...) into a shareable URL hash and back.
+// Hashes look like "#/catalogue/weed?effects=Energizing,Calming&sort=price&dir=desc".
+// Works as a CommonJS module in Node and exposes window.Router in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Router = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // State when the hash doesn't say otherwise; default values are left out of the hash
+    const DEFAULTS = {
+        view: 'catalogue',
+        database: 'meth',
+        version: null,
+        search: '',
+        effects: [],
+        sort: 'name',
+        direction: 'asc',
+        tab: null,
+        quantity: 1,
+        modal: null,
+        focus: null,
+        graph: false,
+        ingredient: null
+    };
+
+    // Query parameter for each optional field
+    const PARAMS = {
+        version: 'version',
+        search: 'q',
+        effects: 'effects',
+        sort: 'sort',
+        direction: 'dir',
+        tab: 'tab',
+        quantity: 'qty',
+        modal: 'drug',
+        focus: 'focus',
+        graph: 'mode',
+        ingredient: 'ingredient'
+    };
+
+    // Fields that make a new browser history entry when they change; the rest replace the current one
+    const NAVIGATION_FIELDS = ['view', 'database', 'version', 'tab', 'modal', 'focus', 'graph', 'ingredient'];
+
+    // Build the hash for a state
+    function encodeState(state) {
+        const full = { ...DEFAULTS, ...state };
+        const params = new URLSearchParams();
+
+        if (full.version) params.set(PARAMS.version, full.version);
+        if (full.search) params.set(PARAMS.search, full.search);
+        if (full.effects.length > 0) params.set(PARAMS.effects, full.effects.join(','));
+        if (full.sort !== DEFAULTS.sort) params.set(PARAMS.sort, full.sort);
+        if (full.direction !== DEFAULTS.direction) params.set(PARAMS.direction, full.direction);
+        if (full.tab) params.set(PARAMS.tab, full.tab);
+        if (full.modal) params.set(PARAMS.modal, full.modal);
+        if ((full.tab || full.modal) && full.quantity > 1) params.set(PARAMS.quantity, full.quantity);
+        if (full.focus) params.set(PARAMS.focus, full.focus);
+        if (full.graph) params.set(PARAMS.graph, 'graph');
+        if (full.ingredient) params.set(PARAMS.ingredient, full.ingredient);
+
+        const query = params.toString().replace(/%2C/g, ',');
+        return `#/${encodeURIComponent(full.view)}/${encodeURIComponent(full.database)}${query ? `?${query}` : ''}`;
+    }
+
+    // Read a hash back into a full state. Anything missing or malformed falls back to the defaults.
+    function decodeState(hash) {
+        const state = { ...DEFAULTS, effects: [] };
+        const text = String(hash || '').replace(/^#\/?/, '');
+        if (!text) return state;
+
+        const [path, query = ''] = text.split('?');
+        const [view, database] = path.split('/').map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch (error) {
+                return '';
+            }
+        });
+        if (view) state.view = view;
+        if (database) state.database = database;
+
+        const params = new URLSearchParams(query);
+        if (params.get(PARAMS.version)) state.version = params.get(PARAMS.version);
+        if (params.get(PARAMS.search)) state.search = params.get(PARAMS.search);
+        if (params.get(PARAMS.effects)) {
+            state.effects = params.get(PARAMS.effects).split(',').map(effect => effect.trim()).filter(effect => effect);
+        }
+        if (params.get(PARAMS.sort)) state.sort = params.get(PARAMS.sort);
+        if (params.get(PARAMS.direction) === 'desc') state.direction = 'desc';
+        if (params.get(PARAMS.tab)) state.tab = params.get(PARAMS.tab);
+        if (params.get(PARAMS.modal)) state.modal = params.get(PARAMS.modal);
+        const quantity = parseInt(params.get(PARAMS.quantity));
+        if (quantity > 0) state.quantity = quantity;
+        if (params.get(PARAMS.focus)) state.focus = params.get(PARAMS.focus);
+        if (params.get(PARAMS.graph) === 'graph') state.graph = true;
+        if (params.get(PARAMS.ingredient)) state.ingredient = params.get(PARAMS.ingredient);
+
+        return state;
+    }
+
+    // Whether going from one state to another should add a history entry (so Back returns to it)
+    function isNavigation(from, to) {
+        return NAVIGATION_FIELDS.some(field => String(from[field]) !== String(to[field]));
+    }
+
+    return {
+        DEFAULTS,
+        encodeState,
+        decodeState,
+        isNavigation
+    };
+});
@@ -0,0 +1,271 @@
+// Catalogue search: fuzzy, ranked matching over drug names, effects, ingredients and recipe text,
+// with field queries such as `effect:energizing ingredient:cuke price:>150 addict:<80 db:weed`.
+// Works as a CommonJS module in Node and exposes window.Search in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'), require('./data-lint'), require('./templates'));
+    } else {
+        root.Search = factory(root.RecipeEngine, root.DataLint, root.Templates);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine, DataLint, Templates) {
+    const escapeHtml = Templates.escapeHtml;
+
+    // Field names accepted before a colon, and the field each one searches
+    const FIELDS = {
+        name: 'name',
+        effect: 'effect',
+        effects: 'effect',
+        ingredient: 'ingredient',
+        ingredients: 'ingredient',
+        uses: 'ingredient',
+        recipe: 'recipe',
+        price: 'price',
+        addict: 'addictiveness',
+        addictiveness: 'addictiveness',
+        db: 'database',
+        database: 'database'
+    };
+
+    // Fields compared as numbers (`price:>150`) rather than text
+    const NUMERIC_FIELDS = ['price', 'addictiveness'];
+
+    // How much a match in each field counts towards a result's rank
+    const WEIGHTS = {
+        name: 3,
+        effect: 2,
+        ingredient: 1.5,
+        recipe: 1
+    };
+
+    // Field queries, quoted phrases and plain words
+    const TOKEN_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+    // Split a query into plain search terms and field filters. Unknown fields are searched as plain
+    // text; numeric fields with a value that isn't a comparison are reported in `errors`.
+    function parseQuery(text) {
+        const query = { terms: [], filters: [], errors: [] };
+
+        for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+            const [token, key, rawValue, phrase, word] = match;
+
+            if (key && FIELDS[key.toLowerCase()]) {
+                const field = FIELDS[key.toLowerCase()];
+                const value = rawValue.replace(/^"|"$/g, '').trim();
+                if (!value) continue;
+
+                if (NUMERIC_FIELDS.includes(field)) {
+                    const comparison = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)%?$/);
+                    if (comparison) {
+                        query.filters.push({ field, op: comparison[1] || '=', value: Number(comparison[2]) });
+                    } else {
+                        query.errors.push(`"${token}" needs a number, like ${key}:>100`);
+                    }
+                } else {
+                    query.filters.push({ field, value: value.toLowerCase() });
+                }
+            } else {
+                const term = (phrase !== undefined ? phrase : word || token).trim().toLowerCase();
+                if (term) query.terms.push(term);
+            }
+        }
+
+        return query;
+    }
+
+    // Whether a parsed query asks for anything
+    function isEmptyQuery(query) {
+        return query.terms.length === 0 && query.filters.length === 0;
+    }
+
+    // Score how well `query` (lowercase) matches `text`, from 1 for the whole text down to about 0.45
+    // for a match two typos away. Returns { score, ranges } with the matched [start, end) ranges, or null.
+    function fuzzyMatch(query, text) {
+        const lower = String(text).toLowerCase();
+        if (!query || !lower) return null;
+
+        const index = lower.indexOf(query);
+        if (index !== -1) {
+            const atWordStart = index === 0 || !/[a-z0-9]/i.test(text[index - 1]) ||
+                (/[A-Z]/.test(text[index]) && /[a-z]/.test(text[index - 1]));
+            const score = lower === query ? 1 : atWordStart ? 0.9 : 0.8;
+            return { score, ranges: [[index, index + query.length]] };
+        }
+
+        // Typos: compare against every stretch of the text about as long as the query
+        if (query.length < 4) return null;
+        const allowed = query.length >= 9 ? 2 : 1;
+        let best = null;
+        for (let length = Math.max(1, query.length - allowed); length <= query.length + allowed; length++) {
+            for (let start = 0; start + length <= lower.length; start++) {
+                const distance = DataLint.editDistance(query, lower.slice(start, start + length));
+                if (distance <= allowed && (!best || distance < best.distance)) {
+                    best = { distance, start, length };
+                }
+            }
+        }
+
+        return best
+            ? { score: 0.6 - 0.15 * (best.distance - 1), ranges: [[best.start, best.start + best.length]] }
+            : null;
+    }
+
+    // Best match for a query among several texts, as { text, score, ranges }
+    function bestMatch(query, texts) {
+        let best = null;
+        texts.forEach(text => {
+            const match = fuzzyMatch(query, text);
+            if (match && (!best || match.score > best.score)) best = { text, ...match };
+        });
+        return best;
+    }
+
+    // Every product and ingredient that goes into a recipe tree, however deep
+    function collectIngredients(recipeTree) {
+        const names = new Map();
+        (function walk(node) {
+            (node.components || []).forEach(component => {
+                names.set(component.name.toLowerCase(), component.name);
+                walk(component);
+            });
+        })(recipeTree);
+        return Array.from(names.values());
+    }
+
+    // Precompute what's searched for each drug. `databases` maps a database name to its drugs;
+    // `resolutionData` (optional) maps it to the drugs its recipes resolve against, and `labels`
+    // to a display name that `db:` also matches.
+    function buildSearchIndex(databases, resolutionData = {}, labels = {}) {
+        const entries = [];
+
+        Object.keys(databases).forEach(database => {
+            const drugsData = databases[database] || [];
+            const resolveIn = RecipeEngine.indexDrugs(resolutionData[database] || drugsData);
+
+            drugsData.forEach(drug => {
+                const tree = RecipeEngine.buildRecipeTree(resolveIn, drug['Drug Name']);
+                entries.push({
+                    database,
+                    databaseNames: [database.replace(/\.json$/, ''), labels[database] || database].map(name => name.toLowerCase()),
+                    drug,
+                    name: drug['Drug Name'],
+                    effects: RecipeEngine.parseEffects(drug.Effects),
+                    ingredients: collectIngredients(tree),
+                    recipe: drug.Recipe || '',
+                    price: Number(drug.Price) || 0,
+                    addictiveness: parseInt(drug.Addictiveness) || 0
+                });
+            });
+        });
+
+        return entries;
+    }
+
+    // Whether a number passes a comparison filter
+    function compare(number, op, value) {
+        if (op === '>') return number > value;
+        if (op === '>=') return number >= value;
+        if (op === '<') return number < value;
+        if (op === '<=') return number <= value;
+        return number === value;
+    }
+
+    // Match one index entry against a parsed query. Returns { score, highlights } or null.
+    function matchEntry(entry, query) {
+        const highlights = { name: [], effects: {}, ingredients: {}, recipe: [] };
+        let score = 0;
+
+        // Remember where a match landed so it can be highlighted
+        function record(field, match) {
+            if (field === 'name') highlights.name.push(...match.ranges);
+            else if (field === 'recipe') highlights.recipe.push(...match.ranges);
+            else {
+                const group = field === 'effect' ? highlights.effects : highlights.ingredients;
+                group[match.text] = (group[match.text] || []).concat(match.ranges);
+            }
+        }
+
+        // Each field filter must match
+        for (const filter of query.filters) {
+            if (NUMERIC_FIELDS.includes(filter.field)) {
+                if (!compare(entry[filter.field], filter.op, filter.value)) return null;
+                continue;
+            }
+            if (filter.field === 'database') {
+                if (!entry.databaseNames.some(name => name.startsWith(filter.value))) return null;
+                continue;
+            }
+
+            const texts = filter.field === 'name' ? [entry.name]
+                : filter.field === 'effect' ? entry.effects
+                : filter.field === 'ingredient' ? entry.ingredients
+                : [entry.recipe];
+            const match = bestMatch(filter.value, texts);
+            if (!match) return null;
+            record(filter.field, match);
+            score += match.score * WEIGHTS[filter.field];
+        }
+
+        // Each plain term must match at least one field; the best-weighted field counts
+        for (const term of query.terms) {
+            const candidates = [
+                ['name', bestMatch(term, [entry.name])],
+                ['effect', bestMatch(term, entry.effects)],
+                ['ingredient', bestMatch(term, entry.ingredients)],
+                ['recipe', bestMatch(term, [entry.recipe])]
+            ].filter(([, match]) => match);
+            if (candidates.length === 0) return null;
+
+            const [field, match] = candidates.reduce((best, candidate) =>
+                candidate[1].score * WEIGHTS[candidate[0]] > best[1].score * WEIGHTS[best[0]] ? candidate : best
+            );
+            record(field, match);
+            score += match.score * WEIGHTS[field];
+        }
+
+        return { score, highlights };
+    }
+
+    // Search an index, best matches first (ties by name). `options.database` limits the search to
+    // one database. An empty query matches everything with a score of 0.
+    function search(index, queryOrText, options = {}) {
+        const query = typeof queryOrText === 'string' ? parseQuery(queryOrText) : queryOrText;
+        const results = [];
+
+        index.forEach(entry => {
+            if (options.database && entry.database !== options.database) return;
+            const match = matchEntry(entry, query);
+            if (match) results.push({ entry, drug: entry.drug, database: entry.database, ...match });
+        });
+
+        return results.sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name));
+    }
+
+    // HTML for a piece of text with the matched ranges wrapped in <mark>
+    function highlight(text, ranges = []) {
+        const merged = [];
+        ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+            else merged.push([start, end]);
+        });
+
+        let html = '';
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            html += escapeHtml(text.slice(position, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + escapeHtml(text.slice(position));
+    }
+
+    return {
+        FIELDS,
+        parseQuery,
+        isEmptyQuery,
+        fuzzyMatch,
+        buildSearchIndex,
+        search,
+        highlight
+    };
+});
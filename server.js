@@ -0,0 +1,90 @@
+// Local HTTP API over the recipe queries: JSON in, JSON out, GET only. Started with
+// `schedulei serve`; see the ROUTES list for the endpoints. Errors come back as { error } with a
+// 400 (bad request), 404 (unknown endpoint or name), 405 (not a GET) or 500 (anything unexpected) status.
+
+const http = require('http');
+
+const Queries = require('./queries');
+
+// Split a "Name:quantity" item (the quantity is optional)
+function parseItem(text) {
+    const match = String(text).match(/^(.*?)(?::(\d+))?$/);
+    return { name: match[1].trim(), quantity: match[2] ? parseInt(match[2]) : 1 };
+}
+
+// Every value of a query parameter, with comma-separated lists split up
+function listParam(params, name) {
+    return params.getAll(name).flatMap(value => value.split(',')).map(value => value.trim()).filter(value => value);
+}
+
+// Endpoints: [path pattern, handler(catalogue, params, ...captured path parts)]
+const ROUTES = [
+    // Every database and its size
+    [/^\/api\/databases$/, catalogue => Queries.listDatabases(catalogue)],
+    // Products, filtered by ?db= and ?effect= (repeat or comma-separate for several)
+    [/^\/api\/products$/, (catalogue, params) => Queries.listProducts(catalogue, {
+        database: params.get('db'),
+        effects: listParam(params, 'effect')
+    })],
+    // One product's recipe tree, materials, mixing order and economics for ?qty=
+    [/^\/api\/products\/([^/]+)$/, (catalogue, params, name) => Queries.recipe(catalogue, name, {
+        database: params.get('db'),
+        quantity: params.get('qty')
+    })],
+    // Material totals for several products: ?item=TokyoCrack:20&item=OGKush:5
+    [/^\/api\/materials$/, (catalogue, params) => Queries.materialTotals(catalogue, listParam(params, 'item').map(item => ({
+        ...parseItem(item),
+        database: params.get('db')
+    })))],
+    // Products made from an ingredient or intermediate
+    [/^\/api\/uses\/([^/]+)$/, (catalogue, params, name) => Queries.uses(catalogue, name)],
+    // Search with the site's query syntax: ?q=effect:energizing price:>100&db=weed
+    [/^\/api\/search$/, (catalogue, params) => Queries.search(catalogue, params.get('q') || '', { database: params.get('db') })],
+    // Snapshots and current version of every database, or of ?db=
+    [/^\/api\/versions$/, (catalogue, params) => Queries.listVersions(catalogue, params.get('db'))],
+    // What changed in a database between ?from= and ?to= (latest snapshot and current by default)
+    [/^\/api\/diff\/([^/]+)$/, (catalogue, params, database) => Queries.diffVersions(catalogue, database, {
+        from: params.get('from'),
+        to: params.get('to')
+    })]
+];
+
+// Send a JSON response
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(body, null, 2));
+}
+
+// An HTTP server answering the API from a loaded catalogue (see Queries.loadCatalogue)
+function createServer(catalogue) {
+    return http.createServer((request, response) => {
+        if (request.method !== 'GET') {
+            sendJson(response, 405, { error: 'Only GET requests are supported' });
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        for (const [pattern, handler] of ROUTES) {
+            const match = url.pathname.match(pattern);
+            if (!match) continue;
+
+            try {
+                const captured = match.slice(1).map(part => decodeURIComponent(part));
+                sendJson(response, 200, handler(catalogue, url.searchParams, ...captured));
+            } catch (error) {
+                sendJson(response, error.status || (error instanceof URIError ? 400 : 500), { error: error.message });
+            }
+            return;
+        }
+
+        sendJson(response, 404, { error: `No endpoint at ${url.pathname}` });
+    });
+}
+
+module.exports = {
+    parseItem,
+    createServer
+};
@@ -0,0 +1,159 @@
+// Charts for the Stats view using D3.js (the same copy the flowchart uses): a price vs
+// addictiveness scatter plot and bar charts. index.html creates one instance and redraws it with
+// the summaries from analytics.js whenever the view or its data changes.
+
+class StatsCharts {
+    constructor() {
+        this.width = 640;
+        this.height = 320;
+        this.margin = { top: 16, right: 16, bottom: 48, left: 56 };
+        this.pointRadius = 5;
+        this.colorFor = () => '#6c5ce7'; // Colour for a database name
+        this.labelFor = database => database; // Legend label for a database name
+        this.onSelect = null; // Called with a product row when its point is clicked
+    }
+
+    // An empty, responsive chart area in a container; returns the plotting group
+    createChart(selector, title) {
+        const container = d3.select(selector);
+        container.html('');
+
+        const svg = container.append('svg')
+            .attr('class', 'stats-chart')
+            .attr('viewBox', `0 0 ${this.width} ${this.height}`)
+            .attr('role', 'img')
+            .attr('aria-label', title);
+
+        return svg.append('g')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+    }
+
+    // Size of the plotting area inside the margins
+    innerSize() {
+        return {
+            width: this.width - this.margin.left - this.margin.right,
+            height: this.height - this.margin.top - this.margin.bottom
+        };
+    }
+
+    // Draw the axes and their labels
+    drawAxes(chart, x, y, xLabel, yLabel) {
+        const { width, height } = this.innerSize();
+
+        chart.append('g')
+            .attr('class', 'stats-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(d3.axisBottom(x));
+        chart.append('g')
+            .attr('class', 'stats-axis')
+            .call(d3.axisLeft(y).ticks(6));
+
+        chart.append('text')
+            .attr('class', 'stats-axis-label')
+            .attr('x', width / 2)
+            .attr('y', height + 40)
+            .attr('text-anchor', 'middle')
+            .text(xLabel);
+        chart.append('text')
+            .attr('class', 'stats-axis-label')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -height / 2)
+            .attr('y', -42)
+            .attr('text-anchor', 'middle')
+            .text(yLabel);
+    }
+
+    // Price against addictiveness, one point per product coloured by database. Clicking a point
+    // calls onSelect with its row.
+    drawScatter(selector, rows) {
+        const chart = this.createChart(selector, 'Price against addictiveness');
+        const { width, height } = this.innerSize();
+        const x = d3.scaleLinear().domain([0, 100]).range([0, width]);
+        const y = d3.scaleLinear().domain([0, d3.max(rows, row => row.price) || 1]).nice().range([height, 0]);
+
+        this.drawAxes(chart, x, y, 'Addictiveness (%)', 'Price ($)');
+
+        chart.append('g')
+            .selectAll('circle')
+            .data(rows)
+            .enter()
+            .append('circle')
+            .attr('class', 'stats-point')
+            .attr('cx', row => x(Math.min(100, row.addictiveness)))
+            .attr('cy', row => y(row.price))
+            .attr('r', this.pointRadius)
+            .attr('fill', row => this.colorFor(row.database))
+            .on('click', (event, row) => {
+                if (this.onSelect) this.onSelect(row);
+            })
+            .append('title')
+            .text(row => `${row.name} (${this.labelFor(row.database)})\nPrice: ${CostModel.formatMoney(row.price)}\n` +
+                `Addictiveness: ${row.addictiveness}%\nEffects: ${row.effects.join(', ') || 'none'}`);
+
+        this.drawLegend(chart, Array.from(new Set(rows.map(row => row.database))));
+    }
+
+    // A key of database colours in the top-left corner (only when there's more than one)
+    drawLegend(chart, databases) {
+        if (databases.length < 2) return;
+
+        const legend = chart.append('g')
+            .attr('class', 'stats-legend')
+            .attr('transform', 'translate(8,0)');
+        databases.forEach((database, i) => {
+            const item = legend.append('g').attr('transform', `translate(0,${i * 18})`);
+            item.append('circle').attr('r', this.pointRadius).attr('cx', 5).attr('cy', 6).attr('fill', this.colorFor(database));
+            item.append('text').attr('class', 'legend-text').attr('x', 16).attr('y', 10).text(this.labelFor(database));
+        });
+    }
+
+    // Vertical bars, one per `bars` entry ({ label, value, title })
+    drawBars(selector, bars, xLabel, yLabel) {
+        const chart = this.createChart(selector, yLabel);
+        const { width, height } = this.innerSize();
+        const x = d3.scaleBand().domain(bars.map(bar => bar.label)).range([0, width]).padding(0.15);
+        const y = d3.scaleLinear().domain([0, d3.max(bars, bar => bar.value) || 1]).nice().range([height, 0]);
+
+        this.drawAxes(chart, x, y, xLabel, yLabel);
+
+        // Long category names (effects) would overlap; tilt them
+        if (bars.length > 10) {
+            chart.select('.stats-axis').selectAll('text')
+                .attr('text-anchor', 'end')
+                .attr('transform', 'rotate(-35)')
+                .attr('dx', '-0.4em')
+                .attr('dy', '0.3em');
+        }
+
+        chart.append('g')
+            .selectAll('rect')
+            .data(bars)
+            .enter()
+            .append('rect')
+            .attr('class', 'stats-bar')
+            .attr('x', bar => x(bar.label))
+            .attr('y', bar => y(bar.value))
+            .attr('width', x.bandwidth())
+            .attr('height', bar => height - y(bar.value))
+            .append('title')
+            .text(bar => bar.title);
+    }
+
+    // How many products have each effect
+    drawEffectHistogram(selector, effects) {
+        this.drawBars(selector, effects.map(entry => ({
+            label: entry.effect,
+            value: entry.count,
+            title: `${entry.effect}: ${entry.count} products, average ${CostModel.formatMoney(entry.averagePrice)}`
+        })), 'Effect', 'Products');
+    }
+
+    // Average price for each number of effects
+    drawPriceByEffectCount(selector, byEffectCount) {
+        this.drawBars(selector, byEffectCount.map(entry => ({
+            label: String(entry.effectCount),
+            value: entry.averagePrice,
+            title: `${entry.effectCount} effects: ${entry.count} products, average ${CostModel.formatMoney(entry.averagePrice)}`
+        })), 'Number of effects', 'Average price ($)');
+    }
+}
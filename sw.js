@@ -0,0 +1,112 @@
+// Service worker: keeps the app usable offline. Everything the page needs is precached on install,
+// then served from the cache while a fresh copy is fetched in the background. When a database
+// comes back different from the cached copy, open pages are told so they can offer a reload.
+// The database files and their snapshots are whatever databases.json lists.
+
+importScripts('database-registry.js');
+
+// Bump when the list below changes so old caches get cleared out
+const CACHE_NAME = 'schedulei-v8';
+
+// The page, its scripts and styles, and the data it loads
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'vendor/bootstrap/bootstrap.min.css',
+    'vendor/bootstrap/bootstrap.bundle.min.js',
+    'vendor/bootstrap-icons/bootstrap-icons.css',
+    'vendor/bootstrap-icons/fonts/bootstrap-icons.woff2',
+    'vendor/bootstrap-icons/fonts/bootstrap-icons.woff',
+    'vendor/d3/d3.min.js',
+    'recipe-engine.js',
+    'catalogue.js',
+    'database-registry.js',
+    'cost-model.js',
+    'mixer.js',
+    'goal-search.js',
+    'planner.js',
+    'compare.js',
+    'analytics.js',
+    'instructions.js',
+    'custom-recipes.js',
+    'data-io.js',
+    'data-lint.js',
+    'search.js',
+    'recipe-graph.js',
+    'mindmap.js',
+    'stats-charts.js',
+    'recipe-sheet.js',
+    'templates.js',
+    'versions.js',
+    'router.js',
+    'databases.json',
+    'prices.json',
+    'mix-rules.json'
+];
+
+// Precache the fixed list, then every database and snapshot file databases.json names
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS)
+                .then(() => cache.match(DatabaseRegistry.MANIFEST_FILE))
+                .then(response => response.json())
+                .then(manifest => cache.addAll(DatabaseRegistry.listFiles(DatabaseRegistry.normalizeManifest(manifest).databases))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache =>
+            // Font URLs carry a cache-busting query, so match without it
+            cache.match(event.request, { ignoreSearch: true }).then(cached => {
+                const refresh = fetch(event.request)
+                    .then(response => {
+                        if (!response.ok) return response;
+                        return updateCache(cache, event.request, url, cached, response.clone()).then(() => response);
+                    })
+                    .catch(error => {
+                        // Offline: fall back to the cached page for navigations
+                        if (cached) return cached;
+                        if (event.request.mode === 'navigate') return cache.match('index.html');
+                        throw error;
+                    });
+
+                if (cached) {
+                    event.waitUntil(refresh.catch(() => {}));
+                    return cached;
+                }
+                return refresh;
+            })
+        )
+    );
+});
+
+// Store a fresh response, and tell the open pages if a data file (any JSON file) changed
+function updateCache(cache, request, url, cached, response) {
+    const fileName = url.pathname.split('/').pop();
+    if (!cached || !fileName.endsWith('.json')) {
+        return cache.put(request, response);
+    }
+
+    return Promise.all([cached.clone().text(), response.clone().text()]).then(([oldText, newText]) => {
+        if (oldText === newText) return;
+        return cache.put(request, response)
+            .then(() => self.clients.matchAll({ type: 'window' }))
+            .then(clients => clients.forEach(client => client.postMessage({ type: 'data-updated', file: fileName })));
+    });
+}
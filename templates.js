@@ -0,0 +1,414 @@
+// HTML templates for the catalogue: drug cards, drug tabs, the recipe modal and the recipe
+// breakdown. Drug data (names, effects, recipes) is escaped wherever it goes into markup, so data
+// from imported or hand-made recipes can't add elements or break out of an attribute. Buttons carry
+// their drug in data- attributes for the page's delegated click handler; there's no inline script.
+// Works as a CommonJS module in Node and exposes window.Templates in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./cost-model'), require('./instructions'), require('./catalogue'));
+    } else {
+        root.Templates = factory(root.CostModel, root.Instructions, root.Catalogue);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CostModel, Instructions, Catalogue) {
+    // Escape text for use in HTML, in element content or a quoted attribute
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // A drug name as an id fragment (e.g. "Tokyo Crack" -> "tokyo-crack"). Names with characters
+    // that aren't safe in an id or a CSS selector get them stripped and a hash of the name added,
+    // so different names never share an id.
+    function drugId(name) {
+        const text = String(name);
+        const slug = text.toLowerCase().replace(/\s+/g, '-');
+        if (/^[a-z][a-z0-9_-]*$/.test(slug)) return slug;
+
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+        }
+        return `drug-${slug.replace(/[^a-z0-9_-]+/g, '')}-${hash.toString(36)}`;
+    }
+
+    // Effect badges for a drug's comma-separated effects
+    function effectBadges(effects) {
+        if (!effects || effects === 'NaN') {
+            return '<span class="badge bg-secondary">No effects listed</span>';
+        }
+        return effects.split(', ').map(effect => `<span class="badge badge-effect">${escapeHtml(effect)}</span>`).join('');
+    }
+
+    // List items for raw materials ({ name: quantity }), alphabetically, each linking to its ingredient page
+    function materialsList(materials) {
+        const names = Object.keys(materials).sort();
+        if (names.length === 0) {
+            return '<li class="list-group-item">No basic materials found</li>';
+        }
+
+        return names.map(name => `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <span class="clickable-recipe ingredient-link" data-ingredient="${escapeHtml(name)}">${escapeHtml(name)}</span>
+                <span class="badge bg-primary rounded-pill">${materials[name]}</span>
+            </li>
+        `).join('');
+    }
+
+    // Materials for a calculated quantity, with a heading naming the drug
+    function calculatedMaterials(drugName, quantity, materials) {
+        return `<h6>Raw Materials Needed for ${quantity} ${escapeHtml(drugName)}:</h6><ul class="list-group materials-list">${materialsList(materials)}</ul>`;
+    }
+
+    // The cost / profit summary for the calculator
+    function economicsSummary(economics) {
+        const profitClass = economics.profit < 0 ? 'text-danger' : 'text-success';
+        let html = `
+            <ul class="list-group mt-3">
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    Input Cost
+                    <span>${CostModel.formatMoney(economics.totalCost)} <small class="text-muted">(${CostModel.formatMoney(economics.unitCost)} each)</small></span>
+                </li>
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    Revenue
+                    <span>${CostModel.formatMoney(economics.revenue)}</span>
+                </li>
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    Profit per Unit
+                    <span class="${profitClass}">${CostModel.formatMoney(economics.unitProfit)}</span>
+                </li>
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    <strong>Profit for ${economics.quantity}</strong>
+                    <strong class="${profitClass}">${CostModel.formatMoney(economics.profit)} (${economics.margin.toFixed(1)}% margin)</strong>
+                </li>
+            </ul>`;
+
+        if (economics.unpriced.length > 0) {
+            html += `<small class="text-muted d-block mt-2"><i class="bi bi-info-circle me-1"></i>No price for: ${escapeHtml(economics.unpriced.join(', '))}</small>`;
+        }
+
+        return html;
+    }
+
+    // The numbered mixing order with a checkbox per step and export buttons
+    function mixingSteps(drugName, steps, quantity) {
+        if (steps.length === 0) {
+            return '<div class="alert alert-info">No mixing steps for this product.</div>';
+        }
+
+        let html = '<ul class="list-group mb-2">';
+        steps.forEach(step => {
+            html += `
+                <li class="list-group-item mixing-step">
+                    <div class="form-check">
+                        <input class="form-check-input mixing-step-check" type="checkbox">
+                        <label class="form-check-label"><strong>${step.number}.</strong> ${escapeHtml(Instructions.describeStep(step))}</label>
+                    </div>
+                </li>`;
+        });
+        html += '</ul>';
+        html += `
+            <div class="text-end">
+                <button class="btn btn-sm btn-outline-secondary export-steps-btn" data-drug="${escapeHtml(drugName)}" data-quantity="${quantity}" data-format="text"><i class="bi bi-file-text me-1"></i>Text</button>
+                <button class="btn btn-sm btn-outline-secondary export-steps-btn" data-drug="${escapeHtml(drugName)}" data-quantity="${quantity}" data-format="markdown"><i class="bi bi-markdown me-1"></i>Markdown</button>
+            </div>`;
+
+        return html;
+    }
+
+    // Every component in a recipe tree once, in the order first met; top-level ones are marked main
+    function flattenComponents(recipeTree) {
+        const seen = new Set();
+        const components = [];
+
+        function collect(component, isMainComponent) {
+            if (seen.has(component.name.toLowerCase())) return;
+            seen.add(component.name.toLowerCase());
+            components.push({ ...component, isMainComponent });
+
+            if (!component.isBasic && !component.isCircular && component.components && component.components.length > 0) {
+                component.components.forEach(subComponent => collect(subComponent, false));
+            }
+        }
+
+        recipeTree.components.forEach(component => collect(component, true));
+        return components;
+    }
+
+    // The recipe breakdown grid: one card per component. `collisions` (from Catalogue.findCollisions)
+    // flags names several databases define; `labels` maps a database to its display name.
+    function recipeComponents(recipeTree, collisions = [], labels = {}) {
+        const components = flattenComponents(recipeTree);
+        if (components.length === 0) {
+            return '<div class="alert alert-info">No recipe components found.</div>';
+        }
+
+        const labelFor = database => labels[database] || database;
+        let html = '';
+        components.forEach(component => {
+            const type = component.isCircular ? ['circular-reference', 'Circular Reference']
+                : component.isBasic ? ['basic-component', 'Basic Component']
+                : ['complex-component', 'Complex Component'];
+
+            // Products from another database are tagged; names several databases define need qualifying
+            const collision = component.isBasic && collisions.find(entry => entry.name.toLowerCase() === component.name.toLowerCase());
+
+            html += `
+            <div class="recipe-item ${component.isMainComponent ? 'main-component' : ''}">
+                <div class="recipe-item-name">
+                    <i class="bi bi-flask-fill me-2"></i>
+                    ${escapeHtml(component.name)}
+                </div>
+                <span class="badge ${type[0]} mb-2">${type[1]}</span>
+                ${component.category ? `<span class="badge bg-secondary mb-2">from ${escapeHtml(component.category)}</span>` : ''}
+                ${collision ? `<div class="alert alert-warning py-1 px-2 small">
+                    ${escapeHtml(component.name)} is defined in ${escapeHtml(collision.databases.map(labelFor).join(' and '))}.
+                    Write "${escapeHtml(Catalogue.qualifiedName(collision.name, labelFor(collision.databases[0])))}" in the recipe to pick one.
+                </div>` : ''}`;
+
+            if (component.recipe) {
+                html += `
+                <div class="recipe-description">
+                    <strong>Recipe:</strong> ${escapeHtml(component.recipe)}
+                </div>`;
+            }
+
+            if (component.isCircular) {
+                html += `
+                <div class="alert alert-warning mt-2 mb-0 py-1 px-2">
+                    <small><i class="bi bi-exclamation-triangle-fill me-1"></i> This component appears elsewhere in the recipe</small>
+                </div>`;
+            } else if (!component.isBasic && component.components && component.components.length > 0) {
+                // For complex components, just list the direct ingredients names
+                html += `
+                <div class="recipe-components">
+                    <div class="recipe-components-header">
+                        <i class="bi bi-diagram-3-fill me-1"></i> Ingredients:
+                    </div>
+                    ${component.components.map(subComponent => `
+                    <div class="recipe-component">
+                        <i class="bi bi-arrow-right-circle me-1"></i> ${escapeHtml(subComponent.name)}
+                    </div>`).join('')}
+                </div>`;
+            }
+
+            html += '</div>';
+        });
+
+        return html;
+    }
+
+    // Calculator with a quantity box and a Calculate button. `prefix` keeps the tab's and the
+    // modal's copies apart ('' or 'modal-'); the already-rendered materials and economics go inside.
+    function calculator(drugName, prefix, title, materialsHtml, economicsHtml) {
+        const id = drugId(drugName);
+        return `
+            <h5><i class="bi bi-calculator me-2"></i>${title}</h5>
+            <div class="input-group mb-3">
+                <span class="input-group-text">Quantity</span>
+                <input type="number" class="form-control" id="${prefix}quantity-${id}" value="1" min="1" max="100">
+                <button class="btn btn-primary calculate-btn" data-drug="${escapeHtml(drugName)}" data-calculator="${prefix ? 'modal' : 'tab'}">Calculate</button>
+            </div>
+            <div id="${prefix}materials-${id}" class="mt-3">
+                <h6>Raw Materials Needed:</h6>
+                <ul class="list-group materials-list">
+                    ${materialsHtml}
+                </ul>
+                ${economicsHtml}
+            </div>`;
+    }
+
+    // Print Sheet and View Flowchart buttons for a drug
+    function drugActions(drugName, quantityInputId) {
+        return `
+            <button class="btn btn-sm btn-light print-sheet-btn" data-drug="${escapeHtml(drugName)}" data-quantity-input="${quantityInputId}"><i class="bi bi-printer me-1"></i>Print Sheet</button>
+            <button class="btn btn-sm btn-light view-flowchart-btn" data-drug="${escapeHtml(drugName)}"><i class="bi bi-diagram-3 me-1"></i>View Flowchart</button>`;
+    }
+
+    // The button for a drug's tab
+    function drugTab(drugName) {
+        const id = drugId(drugName);
+        return `
+            <button class="nav-link" id="${id}-tab" data-bs-toggle="tab" data-bs-target="#${id}-content" data-drug="${escapeHtml(drugName)}"
+                    type="button" role="tab" aria-controls="${id}-content" aria-selected="false">
+                ${escapeHtml(drugName)}
+            </button>
+        `;
+    }
+
+    // A drug's tab: details and calculator on the left, mixing order and breakdown on the right.
+    // `parts` holds already-rendered HTML: compareButton, usedIn, materials, economics, steps, components.
+    function drugTabContent(drug, parts) {
+        const drugName = drug['Drug Name'];
+        const id = drugId(drugName);
+        return `
+            <div class="card mb-4">
+                <div class="card-header bg-primary text-white d-flex justify-content-between align-items-center">
+                    <h4 class="mb-0"><i class="bi bi-flask-fill me-2"></i>${escapeHtml(drugName)}</h4>
+                    <div>
+                        ${parts.compareButton}
+                        ${drugActions(drugName, `quantity-${id}`)}
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="row">
+                        <div class="col-md-6">
+                            <div class="mb-3">
+                                <span class="price-tag mb-2">$${escapeHtml(drug.Price)}</span>
+                                <span class="ms-2 addictiveness">Addictiveness: ${escapeHtml(drug.Addictiveness)}</span>
+                            </div>
+                            <div class="mb-3">
+                                <strong>Effects:</strong>
+                                <div class="mt-2">
+                                    ${effectBadges(drug.Effects)}
+                                </div>
+                            </div>
+                            <div class="mb-4">
+                                <strong>Base Recipe:</strong>
+                                <p class="recipe mt-1">${escapeHtml(drug.Recipe)}</p>
+                            </div>
+                            <div class="mb-4">
+                                <strong>Used In:</strong>
+                                ${parts.usedIn}
+                            </div>
+
+                            <!-- Quantity Calculator -->
+                            <div class="quantity-calculator p-3 mb-3" style="background-color: var(--bg-color); border-radius: 8px; box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);">
+                                ${calculator(drugName, '', 'Recipe Calculator', parts.materials, parts.economics)}
+                            </div>
+                        </div>
+                        <div class="col-md-6">
+                            <h5 class="mb-3">Mixing Order</h5>
+                            <div id="steps-${id}" class="mb-4">
+                                ${parts.steps}
+                            </div>
+                            <h5 class="mb-3">Complete Recipe Breakdown</h5>
+                            <div class="recipe-grid">
+                                ${parts.components}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // A catalogue card. `options`: nameHtml (the name with search matches highlighted, already
+    // escaped), category (shown as a tag), economics, editable (My Recipes' edit and delete buttons)
+    // and compareButton (rendered HTML).
+    function drugCard(drug, options = {}) {
+        const drugName = drug['Drug Name'];
+        const economics = options.economics;
+        return `
+            <div class="card h-100">
+                <div class="card-header">
+                    <h5 class="mb-0">
+                        ${options.nameHtml !== undefined ? options.nameHtml : escapeHtml(drugName)}
+                        ${options.category ? `<span class="badge bg-secondary ms-1 category-tag">${escapeHtml(options.category)}</span>` : ''}
+                    </h5>
+                </div>
+                <div class="card-body">
+                    <div class="mb-3">
+                        <span class="price-tag mb-2">$${escapeHtml(drug.Price)}</span>
+                        <span class="ms-2 addictiveness">Addictiveness: ${escapeHtml(drug.Addictiveness)}</span>
+                    </div>
+                    ${economics ? `<div class="mb-3">
+                        <small class="text-muted">Profit: ${CostModel.formatMoney(economics.unitProfit)} per unit (${economics.margin.toFixed(1)}% margin)</small>
+                    </div>` : ''}
+                    <div class="mb-3">
+                        <strong>Effects:</strong>
+                        <div class="mt-2">${effectBadges(drug.Effects)}</div>
+                    </div>
+                    <div>
+                        <strong>Recipe:</strong>
+                        <p class="recipe mt-1">${escapeHtml(drug.Recipe)}</p>
+                    </div>
+                </div>
+                <div class="card-footer bg-transparent border-0 text-end">
+                    ${options.editable ? `
+                    <button class="btn btn-sm btn-outline-secondary me-1 edit-custom-btn" data-drug="${escapeHtml(drugName)}" title="Edit"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-danger me-2 delete-custom-btn" data-drug="${escapeHtml(drugName)}" title="Delete"><i class="bi bi-trash"></i></button>` : ''}
+                    ${options.compareButton || ''}
+                    <button class="btn view-recipe-btn" data-drug="${escapeHtml(drugName)}">Show Full Recipe</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // The recipe modal's body. `parts` is as for drugTabContent.
+    function recipeDetails(drug, parts) {
+        const drugName = drug['Drug Name'];
+        const id = drugId(drugName);
+        return `
+            <div class="recipe-container">
+                <div class="recipe-header d-flex justify-content-between align-items-center">
+                    <div>
+                        <i class="bi bi-flask-fill me-2"></i>${escapeHtml(drugName)}
+                    </div>
+                    <div>
+                        ${parts.compareButton}
+                        ${drugActions(drugName, `modal-quantity-${id}`)}
+                    </div>
+                </div>
+
+                <div class="recipe-description">
+                    <strong>Base Recipe:</strong> ${escapeHtml(drug.Recipe)}
+                </div>
+
+                <div class="mt-3">
+                    <strong>Used In:</strong>
+                    ${parts.usedIn}
+                </div>
+
+                <!-- Materials Calculator -->
+                <div class="quantity-calculator p-3 mb-4 mt-4" style="background-color: var(--bg-color); border-radius: 8px; box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);">
+                    ${calculator(drugName, 'modal-', 'Materials Calculator', parts.materials, parts.economics)}
+                </div>
+
+                <h5 class="mt-4">Mixing Order</h5>
+                <div id="modal-steps-${id}">
+                    ${parts.steps}
+                </div>
+
+                <div class="recipe-grid mt-4">
+                    ${parts.components}
+                </div>
+
+                <div class="recipe-legend mt-4">
+                    <h6>Legend:</h6>
+                    <div class="legend-item">
+                        <span class="badge basic-component me-2">Basic Component</span>
+                        <span>No further processing needed</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="badge complex-component me-2">Complex Component</span>
+                        <span>Requires additional components to create</span>
+                    </div>
+                    <div class="legend-item">
+                        <span class="badge circular-reference me-2">Circular Reference</span>
+                        <span>Component appears elsewhere in the recipe</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    return {
+        escapeHtml,
+        drugId,
+        effectBadges,
+        materialsList,
+        calculatedMaterials,
+        economicsSummary,
+        mixingSteps,
+        recipeComponents,
+        drugTab,
+        drugTabContent,
+        drugCard,
+        recipeDetails
+    };
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Analytics = require('../analytics');
+const Catalogue = require('../catalogue');
+const priceTable = require('../prices.json');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+const resolutionData = {};
+Object.keys(databases).forEach(database => {
+    resolutionData[database] = Catalogue.buildResolutionData(databases, database, {});
+});
+
+// A drug entry as the databases store it
+function drug(name, price, effects, recipe = '') {
+    return { 'Drug Name': name, Price: price, Addictiveness: '10', Effects: effects, Recipe: recipe };
+}
+
+test('product rows carry price, effects, recipe depth and price per mixing step', () => {
+    const rows = Analytics.productStats(databases, resolutionData, priceTable);
+    const tokyo = rows.find(row => row.name === 'TokyoCrack');
+    const kush = rows.find(row => row.name === 'OGKush');
+
+    assert.strictEqual(rows.length, Object.values(databases).reduce((sum, drugs) => sum + drugs.length, 0));
+    assert.strictEqual(tokyo.database, 'data.json');
+    assert.strictEqual(tokyo.depth, 3);
+    assert.strictEqual(tokyo.steps, 3);
+    assert.strictEqual(tokyo.pricePerStep, tokyo.price / 3);
+    assert.strictEqual(tokyo.unitProfit, tokyo.price - tokyo.unitCost);
+    assert.strictEqual(kush.steps, 0);
+    assert.strictEqual(kush.pricePerStep, null);
+});
+
+test('effects are counted ignoring case, most common first', () => {
+    const rows = Analytics.productStats({
+        test: [drug('A', 10, 'Calming, Energizing'), drug('B', 30, 'calming'), drug('C', 20, '')]
+    });
+
+    assert.deepStrictEqual(Analytics.effectFrequency(rows), [
+        { effect: 'Calming', count: 2, averagePrice: 20 },
+        { effect: 'Energizing', count: 1, averagePrice: 10 }
+    ]);
+    assert.deepStrictEqual(Analytics.averagePriceByEffectCount(rows), [
+        { effectCount: 0, count: 1, averagePrice: 20 },
+        { effectCount: 1, count: 1, averagePrice: 30 },
+        { effectCount: 2, count: 1, averagePrice: 10 }
+    ]);
+});
+
+test('depth summary averages price per step only over mixed products', () => {
+    const rows = Analytics.productStats({
+        test: [drug('Base', 10, 'Calming'), drug('Mixed', 40, 'Calming', 'Base + Cuke'), drug('Twice', 90, 'Calming', 'Mixed + Cuke')]
+    });
+    const [bought, once, twice] = Analytics.depthSummary(rows);
+
+    assert.deepStrictEqual(bought, { depth: 0, count: 1, averagePrice: 10, averageSteps: 0, averagePricePerStep: null });
+    assert.strictEqual(once.averagePricePerStep, 40);
+    assert.strictEqual(twice.averagePricePerStep, 45);
+});
+
+test('best value per effect is the highest unit profit, then the higher price', () => {
+    const rows = Analytics.productStats({
+        test: [drug('Cheap', 10, 'Calming, Foggy'), drug('Dear', 50, 'Calming'), drug('Also', 50, 'calming, Foggy', 'Cheap + Cuke')]
+    }, {}, { ingredients: { cuke: 40 }, products: { cheap: 0 } });
+    // Cheap and Also both make $10 a unit on Foggy; Also sells for more
+    const best = Analytics.bestValueByEffect(rows);
+
+    assert.deepStrictEqual(best.map(entry => [entry.effect, entry.product.name]), [['Calming', 'Dear'], ['Foggy', 'Also']]);
+    assert.deepStrictEqual(Object.keys(Analytics.summarize(rows)), ['products', 'effects', 'byEffectCount', 'byDepth', 'bestValue']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Catalogue = require('../catalogue');
+const RecipeEngine = require('../recipe-engine');
+
+const labels = { 'data.json': 'Meth', 'weed.json': 'Weed', 'coke.json': 'Cocaine', custom: 'My Recipes' };
+
+function drug(name, recipe) {
+    return { 'Drug Name': name, Price: 10, Effects: 'Calming', Addictiveness: '0%', Recipe: recipe || '' };
+}
+
+// Shipped data plus My Recipes entries that clash with and build on it
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json'),
+    custom: [
+        drug('OGKush', 'Cocaine + Cuke'),
+        drug('BlueSky', 'OGKush + Battery'),
+        drug('RedSky', 'OGKush (Weed) + GirlScoutPiss')
+    ]
+};
+
+test('components resolve in their own database first, then in the others', () => {
+    assert.strictEqual(Catalogue.resolveReference(databases, 'OGKush', 'custom', labels).database, 'custom');
+    assert.strictEqual(Catalogue.resolveReference(databases, 'OGKush', 'weed.json', labels).database, 'weed.json');
+    assert.strictEqual(Catalogue.resolveReference(databases, 'Cocaine', 'custom', labels).database, 'coke.json');
+    assert.strictEqual(Catalogue.resolveReference(databases, 'ogkush (weed)', 'custom', labels).database, 'weed.json');
+    assert.deepStrictEqual(Catalogue.resolveReference(databases, 'OGKush', 'data.json', labels), { ambiguous: ['weed.json', 'custom'] });
+    assert.strictEqual(Catalogue.resolveReference(databases, 'Battery', 'custom', labels), null);
+});
+
+test('recipe trees cross databases and tag what they borrow', () => {
+    const resolution = Catalogue.buildResolutionData(databases, 'custom', labels);
+    const tree = RecipeEngine.buildRecipeTree(resolution, 'RedSky');
+    const [kush, piss] = tree.components;
+
+    assert.strictEqual(kush.name, 'OGKush (Weed)');
+    assert.strictEqual(kush.category, 'Weed');
+    assert.strictEqual(piss.category, 'Meth');
+    assert.ok(RecipeEngine.collectBasicMaterials(tree).Acid > 0);
+
+    // The custom OGKush wins inside My Recipes, and isn't made from itself
+    const blueSky = RecipeEngine.buildRecipeTree(resolution, 'BlueSky');
+    assert.strictEqual(blueSky.components[0].recipe, 'Cocaine + Cuke');
+    assert.strictEqual(blueSky.components[0].components[0].category, 'Cocaine');
+});
+
+test('a name several other databases define is left for the recipe to qualify', () => {
+    const meth = Catalogue.buildResolutionData({ ...databases, 'data.json': [drug('Mystery', 'OGKush + Cuke')] }, 'data.json', labels);
+    const tree = RecipeEngine.buildRecipeTree(meth, 'Mystery');
+
+    assert.strictEqual(tree.components[0].isBasic, true);
+    assert.deepStrictEqual(Catalogue.findCollisions(databases), [{ name: 'OGKush', databases: ['weed.json', 'custom'] }]);
+});
+
+test('All merges every database with categories and qualified clashing names', () => {
+    const merged = Catalogue.mergeDatabases(databases, labels);
+    const total = Object.values(databases).reduce((sum, list) => sum + list.length, 0);
+    const names = merged.map(entry => entry['Drug Name']);
+
+    assert.strictEqual(merged.length, total);
+    assert.strictEqual(new Set(names.map(name => name.toLowerCase())).size, total);
+    assert.ok(names.includes('OGKush (Weed)') && names.includes('OGKush (My Recipes)'));
+    assert.ok(merged.every(entry => entry.Category === labels[entry.Database]));
+
+    // Recipes point at the qualified names, so the merged list resolves on its own
+    const blueSky = RecipeEngine.findDrugByName(merged, 'BlueSky');
+    assert.strictEqual(blueSky.Recipe, 'OGKush (My Recipes) + Battery');
+    assert.deepStrictEqual(Catalogue.sourceOf(RecipeEngine.findDrugByName(merged, 'OGKush (Weed)')), { database: 'weed.json', name: 'OGKush' });
+    const superFruit = RecipeEngine.buildRecipeTree(merged, 'SuperFruit');
+    assert.strictEqual(superFruit.components[0].name, 'OGKush (Weed)');
+    assert.ok(!superFruit.components[0].isBasic);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Run the CLI and return { status, stdout, stderr }
+function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('recipe prints materials and the mixing order for a quantity', () => {
+    const { status, stdout } = run('recipe', 'GranddaddyHaze', '--qty', '20');
+
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /^20x GranddaddyHaze \(meth\)/);
+    assert.match(stdout, /^ {2}40x Cuke$/m);
+    assert.match(stdout, /-> 20x GranddaddyHaze$/m);
+});
+
+test('--json prints the same data as the API', () => {
+    const { stdout } = run('search', 'effect:Energizing', '--db', 'weed', '--json');
+    const results = JSON.parse(stdout);
+
+    assert.ok(results.length > 0);
+    assert.ok(results.every(result => result.database === 'weed' && result.effects.includes('Energizing')));
+    assert.deepStrictEqual(JSON.parse(run('recipe', 'OGKush', '--db=weed', '--json').stdout).materials, [{ name: 'OGKush', quantity: 1 }]);
+});
+
+test('uses lists direct and indirect products', () => {
+    const { stdout } = run('uses', 'Cuke');
+
+    assert.match(stdout, /^direct {2}TokyoCrack \(meth\) via Cuke$/m);
+    assert.match(stdout, /^depth \d+ {2}GranddaddyHaze \(meth\)/m);
+});
+
+test('diff needs a snapshot to compare with', () => {
+    const { status, stderr } = run('diff', 'weed');
+
+    assert.strictEqual(status, 1);
+    assert.match(stderr, /^Weed has no snapshots to compare with$/m);
+    assert.strictEqual(run('diff').status, 2);
+    assert.match(run('diff', 'weed', '--from', 'current').stdout, /^weed: current -> current\n\nNo changes\.$/m);
+});
+
+test('errors and usage mistakes exit non-zero', () => {
+    const missing = run('recipe', 'NotADrug');
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /No product called "NotADrug"/);
+
+    assert.strictEqual(run('bogus').status, 2);
+    assert.strictEqual(run('recipe').status, 2);
+    assert.strictEqual(run('help').status, 0);
+});
+
+test('serve reports a port that is already in use and exits with 1', async () => {
+    const blocker = require('http').createServer();
+    await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const { status, stdout, stderr } = run('serve', '--port', String(blocker.address().port));
+        assert.strictEqual(status, 1);
+        assert.strictEqual(stdout, '');
+        assert.match(stderr, /^listen EADDRINUSE.*\n$/);
+    } finally {
+        blocker.close();
+    }
+});
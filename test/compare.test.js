@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Compare = require('../compare');
+const priceTable = require('../prices.json');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+
+// Minimal localStorage stand-in
+function createStorage() {
+    const values = {};
+    return {
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => { values[key] = String(value); }
+    };
+}
+
+test('columns cover products from different databases and skip unknown ones', () => {
+    const comparison = Compare.compareDrugs(databases, [
+        { name: 'tokyocrack', database: 'data.json' },
+        { name: 'OGKush', database: 'weed.json' },
+        { name: 'NotADrug', database: 'coke.json' }
+    ], priceTable);
+    const [tokyo, kush] = comparison.columns;
+
+    assert.strictEqual(comparison.columns.length, 2);
+    assert.strictEqual(tokyo.name, 'TokyoCrack');
+    assert.strictEqual(tokyo.addictiveness, 100);
+    assert.strictEqual(tokyo.depth, 3);
+    assert.deepStrictEqual(tokyo.chain, ['Meth', 'LAUrkle', 'TokyoCrack']);
+    assert.deepStrictEqual(tokyo.materials.map(material => material.name), ['Acid', 'Banana', 'Cuke', 'Phosphorus', 'Pseudo']);
+    assert.strictEqual(tokyo.unitProfit, tokyo.price - tokyo.unitCost);
+    assert.strictEqual(kush.depth, 0);
+    assert.deepStrictEqual(kush.materials, [{ name: 'OGKush', quantity: 1 }]);
+});
+
+test('effects are split into shared and unique, ignoring case', () => {
+    const comparison = Compare.compareDrugs({
+        test: [
+            { 'Drug Name': 'A', Price: 10, Effects: 'Calming, Long faced', Addictiveness: '0%', Recipe: '' },
+            { 'Drug Name': 'B', Price: 20, Effects: 'Calming, Long Faced, Energizing', Addictiveness: '0%', Recipe: '' },
+            { 'Drug Name': 'C', Price: 30, Effects: 'Calming, Energizing, Sneaky', Addictiveness: '0%', Recipe: '' }
+        ]
+    }, ['A', 'B', 'C'].map(name => ({ name, database: 'test' })));
+
+    assert.deepStrictEqual(comparison.sharedEffects, ['Calming']);
+    assert.strictEqual(comparison.effects[0].effect, 'Calming');
+    assert.deepStrictEqual(comparison.effects.find(row => row.effect === 'Long faced').present, [true, true, false]);
+    assert.deepStrictEqual(comparison.columns.map(column => column.uniqueEffects), [[], [], ['Sneaky']]);
+});
+
+test('selection holds up to four distinct items and survives a save and load', () => {
+    let selection = [];
+    ['A', 'B', 'B', 'C', 'D', 'E'].forEach(name => { selection = Compare.addItem(selection, { name, database: 'weed.json' }); });
+    assert.deepStrictEqual(selection.map(item => item.name), ['A', 'B', 'C', 'D']);
+
+    selection = Compare.removeItem(selection, { name: 'B', database: 'weed.json' });
+    const storage = createStorage();
+    Compare.saveSelection(storage, selection);
+    assert.deepStrictEqual(Compare.loadSelection(storage), selection);
+
+    storage.setItem(Compare.STORAGE_KEY, '{broken');
+    assert.deepStrictEqual(Compare.loadSelection(storage), []);
+});
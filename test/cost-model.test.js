@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecipeEngine = require('../recipe-engine');
+const CostModel = require('../cost-model');
+const priceTable = require('../prices.json');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+
+test('getUnitPrice matches spelling variants of the same ingredient', () => {
+    assert.strictEqual(CostModel.getUnitPrice(priceTable, 'MegaBean'), 7);
+    assert.strictEqual(CostModel.getUnitPrice(priceTable, 'Mega Bean'), 7);
+    assert.strictEqual(CostModel.getUnitPrice(priceTable, 'Horsesemen'), 9);
+    assert.strictEqual(CostModel.getUnitPrice(priceTable, 'EnergyDrink'), 6);
+    assert.strictEqual(CostModel.getUnitPrice(priceTable, 'Unobtainium'), null);
+});
+
+test('purchases are the raw materials the recipe lists, precursors included', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['data.json'], 'TokyoCrack');
+    assert.deepStrictEqual(CostModel.collectPurchases(tree, 2), RecipeEngine.collectBasicMaterials(tree, 2));
+    assert.deepStrictEqual(CostModel.collectPurchases(tree, 2), {
+        Acid: 2,
+        Phosphorus: 2,
+        Pseudo: 2,
+        Banana: 2,
+        Cuke: 2
+    });
+    assert.strictEqual(CostModel.unitCostOf(databases['data.json'], 'Meth', priceTable), 14);
+    assert.strictEqual(CostModel.unitCostOf([], 'OGKush', priceTable), 3);
+});
+
+test('calculateProfit works out cost, profit and margin for a quantity', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['weed.json'], 'SuperFruit');
+    const economics = CostModel.calculateProfit(tree, priceTable, 10);
+
+    assert.strictEqual(economics.totalCost, 100);
+    assert.strictEqual(economics.unitCost, 10);
+    assert.strictEqual(economics.revenue, 640);
+    assert.strictEqual(economics.unitProfit, 54);
+    assert.strictEqual(economics.profit, 540);
+    assert.strictEqual(Math.round(economics.margin * 10) / 10, 84.4);
+    assert.deepStrictEqual(economics.unpriced, []);
+});
+
+test('unpriced materials are reported and cost nothing', () => {
+    const tree = RecipeEngine.buildRecipeTree([{ 'Drug Name': 'X', Price: 10, Recipe: 'Cuke + Moon Dust' }], 'X');
+    const cost = CostModel.calculateCost(tree, priceTable);
+    assert.strictEqual(cost.total, 2);
+    assert.deepStrictEqual(cost.unpriced, ['Moon Dust']);
+});
+
+test('formatMoney drops zero cents and keeps the sign', () => {
+    assert.strictEqual(CostModel.formatMoney(12), '$12');
+    assert.strictEqual(CostModel.formatMoney(3.5), '$3.50');
+    assert.strictEqual(CostModel.formatMoney(-4.25), '-$4.25');
+});
+
+for (const [file, drugsData] of Object.entries(databases)) {
+    test(`${file}: every product can be fully priced`, () => {
+        drugsData.forEach(drug => {
+            const tree = RecipeEngine.buildRecipeTree(drugsData, drug['Drug Name']);
+            const { unpriced } = CostModel.calculateCost(tree, priceTable);
+            // kingscastle's recipe names "asthonsdream", which isn't in coke.json
+            const expected = drug['Drug Name'] === 'kingscastle' ? ['asthonsdream'] : [];
+            assert.deepStrictEqual(unpriced, expected, drug['Drug Name']);
+        });
+    });
+}
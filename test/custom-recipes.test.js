@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CustomRecipes = require('../custom-recipes');
+const RecipeEngine = require('../recipe-engine');
+const methData = require('../data.json');
+
+// Minimal localStorage stand-in
+function createStorage() {
+    const values = {};
+    return {
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => { values[key] = String(value); }
+    };
+}
+
+function entry(values) {
+    return CustomRecipes.normalizeEntry({ price: 50, addictiveness: 10, ...values });
+}
+
+test('form values become an entry in the database schema', () => {
+    const drug = CustomRecipes.normalizeEntry({
+        name: '  BlueSky ',
+        price: '120',
+        effects: 'Energizing,  Calming, ',
+        addictiveness: '35',
+        recipe: ' GirlScoutPiss + Battery '
+    });
+
+    assert.deepStrictEqual(drug, {
+        'Drug Name': 'BlueSky',
+        Price: 120,
+        Effects: 'Energizing, Calming',
+        Addictiveness: '35%',
+        Recipe: 'GirlScoutPiss + Battery'
+    });
+});
+
+test('validation reports missing names, bad prices and duplicates', () => {
+    const recipes = [entry({ name: 'BlueSky' })];
+
+    assert.deepStrictEqual(CustomRecipes.validateEntry(entry({ name: 'RedSky' }), recipes), []);
+    assert.ok(CustomRecipes.validateEntry(entry({ name: '' }), recipes).some(error => error.includes('Drug Name')));
+    assert.ok(CustomRecipes.validateEntry(entry({ name: 'RedSky', price: 'abc' }), recipes).some(error => error.includes('Price')));
+    assert.ok(CustomRecipes.validateEntry(entry({ name: 'RedSky', addictiveness: 150 }), recipes).some(error => error.includes('Addictiveness')));
+    assert.ok(CustomRecipes.validateEntry(entry({ name: 'bluesky' }), recipes).some(error => error.includes('already')));
+
+    // Editing an entry doesn't clash with itself
+    assert.deepStrictEqual(CustomRecipes.validateEntry(entry({ name: 'BlueSky', price: 80 }), recipes, 'BlueSky'), []);
+});
+
+test('add, edit, delete and reload through storage', () => {
+    const storage = createStorage();
+    assert.deepStrictEqual(CustomRecipes.loadRecipes(storage), []);
+
+    let recipes = CustomRecipes.upsertRecipe([], entry({ name: 'BlueSky' }));
+    recipes = CustomRecipes.upsertRecipe(recipes, entry({ name: 'RedSky' }));
+    recipes = CustomRecipes.upsertRecipe(recipes, entry({ name: 'SkyBlue', price: 90 }), 'BlueSky');
+    recipes = CustomRecipes.deleteRecipe(recipes, 'redsky');
+    CustomRecipes.saveRecipes(storage, recipes);
+
+    const loaded = CustomRecipes.loadRecipes(storage);
+    assert.deepStrictEqual(loaded.map(drug => drug['Drug Name']), ['SkyBlue']);
+    assert.strictEqual(loaded[0].Price, 90);
+
+    storage.setItem(CustomRecipes.STORAGE_KEY, 'not json');
+    assert.deepStrictEqual(CustomRecipes.loadRecipes(storage), []);
+});
+
+test('custom recipes resolve components from the shipped databases', () => {
+    const custom = [entry({ name: 'BlueSky', recipe: 'GirlScoutPiss + Battery' })];
+    const tree = RecipeEngine.buildRecipeTree(custom.concat(methData), 'BlueSky');
+    const materials = RecipeEngine.collectBasicMaterials(tree);
+
+    assert.strictEqual(tree.components[0].name, 'GirlScoutPiss');
+    assert.ok(!tree.components[0].isBasic);
+    assert.strictEqual(materials.Battery, 1);
+});
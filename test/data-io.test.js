@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DataIO = require('../data-io');
+const priceTable = require('../prices.json');
+
+const methData = require('../data.json');
+const weedData = require('../weed.json');
+const knownDrugs = [].concat(methData, weedData, require('../coke.json'));
+const options = {
+    knownDrugs,
+    knownBasics: Object.keys(priceTable.ingredients).concat(Object.keys(priceTable.products))
+};
+
+test('CSV parsing handles quoted commas, escaped quotes and newlines', () => {
+    const rows = DataIO.parseCsv('a,"b, c","say ""hi"""\r\n\n"multi\nline",2,3\n');
+    assert.deepStrictEqual(rows, [
+        ['a', 'b, c', 'say "hi"'],
+        ['multi\nline', '2', '3']
+    ]);
+});
+
+test('shipped databases round-trip through CSV and JSON without errors', () => {
+    [methData, weedData].forEach(drugs => {
+        ['csv', 'json'].forEach(format => {
+            const text = format === 'csv' ? DataIO.toCsv(drugs) : DataIO.toJson(drugs);
+            const report = DataIO.importText(text, format, options);
+
+            assert.strictEqual(report.errorCount, 0, JSON.stringify(report.rows.filter(row => row.errors.length)));
+            assert.strictEqual(report.entries.length, drugs.length);
+            assert.deepStrictEqual(report.entries.map(drug => drug['Drug Name']), drugs.map(drug => drug['Drug Name']));
+        });
+    });
+});
+
+test('numeric string prices are converted, other prices are rejected', () => {
+    const [valid] = DataIO.readRows(DataIO.toJson([weedData[0]]), 'json');
+    assert.strictEqual(typeof DataIO.validateRow(valid.values).entry.Price, 'number');
+
+    const result = DataIO.validateRow({ 'Drug Name': 'Bad', Price: 'cheap', Effects: '', Addictiveness: '10%', Recipe: '' });
+    assert.ok(result.errors.some(error => error.includes('Price')));
+});
+
+test('report lists schema and resolution problems row by row', () => {
+    const csv = [
+        'Drug Name,Price,Effects,Addictiveness,Recipe',
+        'GoodOne,50,Calming,10%,OGKush + Mega Bean',
+        'NoPrice,,Calming,10%,Cuke',
+        'BadAddiction,40,Calming,ten,Cuke',
+        'Unknown,40,Calming,10%,Moonrock + Cuke',
+        'BuildsOnFile,80,NaN,20%,GoodOne + Horsesemen',
+        'goodone,10,,0%,'
+    ].join('\n');
+    const report = DataIO.importText(csv, 'csv', options);
+    const byRow = Object.fromEntries(report.rows.map(row => [row.row, row]));
+
+    assert.deepStrictEqual(byRow[2].errors, []);
+    assert.ok(byRow[3].errors[0].includes('Price'));
+    assert.ok(byRow[4].errors[0].includes('Addictiveness'));
+    assert.deepStrictEqual(byRow[5].errors, ['Recipe component "Moonrock" isn\'t a known drug or ingredient.']);
+    assert.deepStrictEqual(byRow[6].errors, []);
+    assert.strictEqual(byRow[6].warnings.length, 1);
+    assert.ok(byRow[7].errors[0].includes('Duplicate'));
+
+    assert.strictEqual(report.errorCount, 4);
+    assert.deepStrictEqual(report.entries.map(drug => drug['Drug Name']), ['GoodOne', 'BuildsOnFile']);
+    assert.strictEqual(report.entries[1].Effects, '');
+});
+
+test('unreadable files give a single file-level error', () => {
+    assert.match(DataIO.importText('{"not": "a list"}', 'json', options).rows[0].errors[0], /JSON array/);
+    assert.match(DataIO.importText('{oops', 'json', options).rows[0].errors[0], /Not valid JSON/);
+    assert.match(DataIO.importText('Name,Price\nA,1', 'csv', options).rows[0].errors[0], /Missing columns/);
+    assert.strictEqual(DataIO.detectFormat('recipes.CSV'), 'csv');
+    assert.strictEqual(DataIO.detectFormat('recipes.json'), 'json');
+});
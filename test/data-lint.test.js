@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DataLint = require('../data-lint');
+const priceTable = require('../prices.json');
+const rules = require('../mix-rules.json');
+
+const options = {
+    effects: Object.keys(rules.effects),
+    knownBasics: Object.keys(priceTable.ingredients).concat(Object.keys(priceTable.products))
+};
+
+function drug(name, recipe, effects) {
+    return { 'Drug Name': name, Price: 10, Effects: effects || 'Calming', Addictiveness: '0%', Recipe: recipe || '' };
+}
+
+function rulesFor(result, name) {
+    return result.issues.filter(issue => issue.drug === name).map(issue => issue.rule);
+}
+
+test('edit distance counts swapped letters as one edit', () => {
+    assert.strictEqual(DataLint.editDistance('ashtonsdream', 'asthonsdream'), 1);
+    assert.strictEqual(DataLint.editDistance('Eurphoric'.toLowerCase(), 'euphoric'), 1);
+    assert.strictEqual(DataLint.editDistance('abc', 'abc'), 0);
+    assert.strictEqual(DataLint.closestMatch('Caloire-Dense', options.effects), 'Calorie-Dense');
+    assert.strictEqual(DataLint.closestMatch('Moonrock', options.effects), null);
+});
+
+test('shipped data problems are reported', () => {
+    const result = DataLint.lintDatabases({
+        'data.json': require('../data.json'),
+        'weed.json': require('../weed.json'),
+        'coke.json': require('../coke.json')
+    }, options);
+    const find = (rule, drugName) => result.issues.find(issue => issue.rule === rule && issue.drug === drugName);
+
+    assert.match(find('unknown-effect', 'AfghanMint').message, /"Eurphoric".*"Euphoric"/);
+    assert.strictEqual(find('unknown-effect', 'AfghanMint').severity, 'error');
+    assert.strictEqual(find('unknown-effect', 'DreamBalls').severity, 'error');
+    assert.match(find('unresolved-component', 'kingscastle').message, /"asthonsdream".*"ashtonsdream"/);
+    assert.ok(find('name-casing', 'ashtonsdream'));
+    assert.ok(find('near-duplicate-name', 'ShinyPuke'));
+
+    // Casing-only effect differences are warnings, and ingredient spellings like "Mega Bean" resolve
+    assert.strictEqual(find('unknown-effect', 'PurpleExpress').severity, 'warning');
+    assert.ok(!result.issues.some(issue => issue.rule === 'unresolved-component' && issue.drug !== 'kingscastle'));
+    assert.ok(result.errors > 0);
+});
+
+test('duplicates, cycles and unresolved components are errors', () => {
+    const result = DataLint.lintDatabases({
+        'test.json': [
+            drug('Alpha', 'Beta + Cuke'),
+            drug('Beta', 'Alpha + Banana'),
+            drug('alpha', 'Cuke'),
+            drug('Gamma', 'Moonrock + Addy', 'Calming, None')
+        ]
+    }, options);
+
+    assert.deepStrictEqual(rulesFor(result, 'alpha'), ['duplicate-name', 'name-casing']);
+    assert.ok(result.issues.some(issue => issue.rule === 'cycle' && /Alpha -> Beta -> Alpha/.test(issue.message)));
+    assert.deepStrictEqual(rulesFor(result, 'Gamma'), ['unresolved-component']);
+});
+
+test('linked drugs let recipes build on other databases', () => {
+    const custom = { custom: [drug('BlueSky', 'OGKush + Battery')] };
+    const weed = require('../weed.json');
+
+    assert.deepStrictEqual(DataLint.lintDatabases(custom, options).issues, []);
+    assert.deepStrictEqual(DataLint.lintDatabases({ custom: [drug('BlueSky', 'BigBud + Battery')] }, options).issues.map(issue => issue.rule), ['unresolved-component']);
+    assert.deepStrictEqual(DataLint.lintDatabases({ custom: [drug('BlueSky', 'BigBud + Battery')] }, { ...options, linkedDrugs: { custom: weed } }).issues, []);
+});
+
+test('names defined in more than one database are flagged once per extra database', () => {
+    const result = DataLint.lintDatabases({
+        'weed.json': [drug('OGKush')],
+        custom: [drug('ogkush', 'OGKush (weed) + Cuke'), drug('BlueSky')]
+    }, options);
+
+    const collisions = result.issues.filter(issue => issue.rule === 'name-collision');
+    assert.strictEqual(collisions.length, 1);
+    assert.strictEqual(collisions[0].database, 'custom');
+    assert.match(collisions[0].message, /"ogkush \(weed\)"/);
+});
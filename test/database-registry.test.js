@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DatabaseRegistry = require('../database-registry');
+
+test('the shipped manifest lists the meth, weed and coke databases in order', () => {
+    const { databases, errors } = DatabaseRegistry.normalizeManifest(require('../databases.json'));
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(databases.map(database => database.id), ['meth', 'weed', 'coke']);
+    assert.strictEqual(DatabaseRegistry.findDatabase(databases, 'weed.json').baseProduct, 'OGKush');
+    assert.strictEqual(DatabaseRegistry.findDatabase(databases, 'coke').label, 'Cocaine');
+    assert.strictEqual(DatabaseRegistry.findDatabase(databases, 'shrooms'), null);
+});
+
+test('a new database needs only an id and a file, and gets defaults for the rest', () => {
+    const { databases } = DatabaseRegistry.normalizeManifest([{ id: 'shrooms', file: 'shrooms.json' }]);
+
+    assert.deepStrictEqual(databases, [{
+        id: 'shrooms',
+        label: 'shrooms',
+        file: 'shrooms.json',
+        color: DatabaseRegistry.DEFAULT_COLOR,
+        baseProduct: null,
+        version: null,
+        snapshots: []
+    }]);
+});
+
+test('invalid entries are reported and left out without dropping the rest', () => {
+    const { databases, errors } = DatabaseRegistry.normalizeManifest([
+        { id: 'meth', file: 'data.json' },
+        { id: 'Bad Id', file: 'bad.json' },
+        { id: 'custom', file: 'custom.json' },
+        { id: 'meth', file: 'other.json' },
+        { id: 'copy', file: 'data.json' },
+        { id: 'csv', file: 'drugs.csv' },
+        null
+    ]);
+
+    assert.deepStrictEqual(databases.map(database => database.id), ['meth']);
+    assert.strictEqual(errors.length, 6);
+    assert.match(errors[1], /reserved id "custom"/);
+    assert.deepStrictEqual(DatabaseRegistry.normalizeManifest({ id: 'meth' }).errors.length, 1);
+});
+
+test('snapshots keep their version labels, and bad ones are left out of their database', () => {
+    const { databases, errors } = DatabaseRegistry.normalizeManifest([
+        {
+            id: 'meth',
+            file: 'data.json',
+            version: '1.1',
+            snapshots: [
+                { version: '1.0', file: 'snapshots/meth-1.0.json' },
+                { version: '1.1', file: 'snapshots/meth-1.1.json' },
+                { version: '0.9', file: 'data.json' },
+                { file: 'snapshots/meth.json' }
+            ]
+        },
+        { id: 'weed', file: 'snapshots/meth-1.0.json' }
+    ]);
+
+    assert.deepStrictEqual(databases.map(database => database.id), ['meth']);
+    assert.strictEqual(databases[0].version, '1.1');
+    assert.deepStrictEqual(databases[0].snapshots, [{ version: '1.0', file: 'snapshots/meth-1.0.json' }]);
+    assert.deepStrictEqual(DatabaseRegistry.listFiles(databases), ['data.json', 'snapshots/meth-1.0.json']);
+    assert.strictEqual(errors.length, 4);
+    assert.match(errors[0], /repeats the version "1.1"/);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const GoalSearch = require('../goal-search');
+const Mixer = require('../mixer');
+const rules = require('../mix-rules.json');
+const priceTable = require('../prices.json');
+
+const knownProducts = [].concat(require('../data.json'), require('../weed.json'), require('../coke.json'));
+
+test('finds the one-step mix for a single effect', () => {
+    const search = GoalSearch.findMixes(rules, priceTable, { baseName: 'Meth', targetEffects: ['Energizing'], maxSteps: 1 });
+    assert.strictEqual(search.candidates[0].totalSteps, 1);
+    assert.deepStrictEqual(search.candidates[0].ingredients, ['Cuke']);
+    assert.deepStrictEqual(GoalSearch.describeSteps(search.candidates[0]), ['Start with Meth', 'Mix in Cuke -> Energizing']);
+});
+
+test('every candidate actually produces the target effects', () => {
+    const search = GoalSearch.findMixes(rules, priceTable, {
+        baseName: 'OGKush',
+        targetEffects: ['energizing', 'Calming'],
+        maxSteps: 3,
+        knownProducts
+    });
+    assert.ok(search.candidates.length > 0);
+    search.candidates.forEach(candidate => {
+        const replay = candidate.start.chain.concat(candidate.ingredients)
+            .reduce((effects, ingredient) => Mixer.applyIngredient(rules, effects, ingredient), rules.bases.OGKush.effects);
+        if (candidate.start.type === 'base') {
+            assert.deepStrictEqual(replay, candidate.effects);
+        }
+        assert.ok(candidate.effects.includes('Energizing') && candidate.effects.includes('Calming'));
+    });
+});
+
+test('known products from the same base are used as shortcuts', () => {
+    const starts = GoalSearch.collectStartPoints(rules, priceTable, 'Cocaine', knownProducts);
+    assert.strictEqual(starts[0].type, 'base');
+    const aspenCake = starts.find(start => start.name === 'AspenCake');
+    assert.deepStrictEqual(aspenCake.chain, ['Cuke']);
+    assert.strictEqual(aspenCake.cost, 32);
+    assert.ok(starts.every(start => start.type === 'base' || !['BioBud', 'OGKush'].includes(start.name)));
+});
+
+test('rankings order candidates by steps, cost or price', () => {
+    const options = { baseName: 'Meth', targetEffects: ['Foggy'], maxSteps: 2, knownProducts };
+    const bySteps = GoalSearch.findMixes(rules, priceTable, { ...options, rankBy: 'steps' }).candidates;
+    const byCost = GoalSearch.findMixes(rules, priceTable, { ...options, rankBy: 'cost' }).candidates;
+    const byPrice = GoalSearch.findMixes(rules, priceTable, { ...options, rankBy: 'price' }).candidates;
+
+    bySteps.slice(1).forEach((c, i) => assert.ok(c.totalSteps >= bySteps[i].totalSteps));
+    byCost.slice(1).forEach((c, i) => assert.ok(c.cost >= byCost[i].cost));
+    byPrice.slice(1).forEach((c, i) => assert.ok(c.price <= byPrice[i].price));
+});
+
+test('ranking by cost finds a cheaper chain that takes more mixes', () => {
+    const options = { baseName: 'GreenCrack', targetEffects: ['Energizing', 'Thought-Provoking', 'Jennerising'], maxSteps: 3 };
+    const shortest = GoalSearch.findMixes(rules, priceTable, { ...options, rankBy: 'steps' }).candidates
+        .find(candidate => candidate.effects.length === 3);
+    const cheapest = GoalSearch.findMixes(rules, priceTable, { ...options, rankBy: 'cost' }).candidates
+        .find(candidate => candidate.effects.length === 3);
+
+    assert.deepStrictEqual(shortest.ingredients, ['Addy', 'Iodine']);
+    assert.strictEqual(shortest.cost, 21);
+    assert.deepStrictEqual(cheapest.ingredients, ['Donut', 'Iodine', 'Cuke']);
+    assert.strictEqual(cheapest.cost, 17);
+});
+
+test('a search run in small slices finds the same mixes as one run', () => {
+    const options = { baseName: 'OGKush', targetEffects: ['Energizing', 'Calming'], maxSteps: 2, rankBy: 'cost', knownProducts };
+    const search = GoalSearch.createSearch(rules, priceTable, options);
+    let slices = 0;
+    while (!search.run(5)) {
+        slices++;
+        assert.ok(search.progress().statesExplored > 0);
+    }
+
+    assert.ok(slices > 1);
+    assert.deepStrictEqual(search.result(), GoalSearch.findMixes(rules, priceTable, options));
+});
+
+test('searches cut short by the state limit say so', () => {
+    const full = GoalSearch.findMixes(rules, priceTable, { baseName: 'Meth', targetEffects: ['Energizing'], maxSteps: 3 });
+    assert.strictEqual(full.truncated, false);
+    assert.ok(full.statesExplored < GoalSearch.MAX_STATES);
+
+    const deep = GoalSearch.findMixes(rules, priceTable, { baseName: 'Meth', targetEffects: ['Energizing'], maxSteps: 4, knownProducts });
+    assert.strictEqual(deep.truncated, true);
+    assert.strictEqual(deep.statesExplored, GoalSearch.MAX_STATES);
+});
+
+test('unknown bases are rejected', () => {
+    assert.throws(() => GoalSearch.findMixes(rules, priceTable, { baseName: 'Tea', targetEffects: ['Foggy'] }), /Unknown base/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecipeEngine = require('../recipe-engine');
+const Instructions = require('../instructions');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+
+test('steps run from the base product up to the final product', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['data.json'], 'TokyoCrack');
+    const steps = Instructions.buildMixingSteps(tree, 20);
+
+    assert.deepStrictEqual(steps.map(Instructions.describeStep), [
+        'Combine 20x Acid + 20x Phosphorus + 20x Pseudo -> 20x Meth',
+        'Mix 20x Meth with 20x Banana -> 20x LAUrkle',
+        'Mix 20x LAUrkle with 20x Cuke -> 20x TokyoCrack'
+    ]);
+    assert.deepStrictEqual(steps.map(step => step.number), [1, 2, 3]);
+});
+
+test('recipe-less products start the chain', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['weed.json'], 'SuperFruit');
+    const steps = Instructions.buildMixingSteps(tree, 2);
+    assert.deepStrictEqual(steps.map(Instructions.describeStep), [
+        'Start with 2x OGKush',
+        'Mix 2x OGKush with 2x Mega Bean -> 2x SuperFruit'
+    ]);
+});
+
+test('a product needed twice gets one step with the combined quantity', () => {
+    const drugsData = [
+        { 'Drug Name': 'Base', Recipe: 'Cuke + Banana' },
+        { 'Drug Name': 'Left', Recipe: 'Base + Iodine' },
+        { 'Drug Name': 'Top', Recipe: 'Left + Base' }
+    ];
+    const steps = Instructions.buildMixingSteps(RecipeEngine.buildRecipeTree(drugsData, 'Top'), 3);
+    assert.deepStrictEqual(steps.map(step => [step.product, step.quantity]), [['Base', 6], ['Left', 3], ['Top', 3]]);
+});
+
+test('exports as numbered plain text and a Markdown checklist', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['coke.json'], 'AspenCake');
+    const steps = Instructions.buildMixingSteps(tree, 5);
+
+    assert.strictEqual(Instructions.toPlainText('AspenCake', 5, steps), [
+        'AspenCake x5 - Mixing Order',
+        '',
+        '1. Combine 5x Coca Seed -> 5x Cocaine',
+        '2. Mix 5x Cocaine with 5x Cuke -> 5x AspenCake',
+        ''
+    ].join('\n'));
+
+    assert.strictEqual(Instructions.toMarkdown('AspenCake', 5, steps), [
+        '# AspenCake x5 - Mixing Order',
+        '',
+        '- [ ] **1.** Combine 5x Coca Seed -> 5x Cocaine',
+        '- [ ] **2.** Mix 5x Cocaine with 5x Cuke -> 5x AspenCake',
+        ''
+    ].join('\n'));
+});
+
+for (const [file, drugsData] of Object.entries(databases)) {
+    test(`${file}: every product ends with the step that makes it`, () => {
+        drugsData.forEach(drug => {
+            const steps = Instructions.buildMixingSteps(RecipeEngine.buildRecipeTree(drugsData, drug['Drug Name']));
+            assert.strictEqual(steps[steps.length - 1].product, drug['Drug Name']);
+        });
+    });
+}
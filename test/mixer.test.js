@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Mixer = require('../mixer');
+const rules = require('../mix-rules.json');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+
+test('every ingredient adds and transforms into known effects', () => {
+    Object.entries(rules.ingredients).forEach(([name, ingredient]) => {
+        assert.ok(rules.effects[ingredient.adds], `${name} adds unknown effect ${ingredient.adds}`);
+        Object.entries(ingredient.transforms).forEach(([from, to]) => {
+            assert.ok(rules.effects[from], `${name} transforms unknown effect ${from}`);
+            assert.ok(rules.effects[to], `${name} transforms into unknown effect ${to}`);
+        });
+    });
+});
+
+test('applyIngredient transforms existing effects before adding its own', () => {
+    assert.deepStrictEqual(Mixer.applyIngredient(rules, [], 'Cuke'), ['Energizing']);
+    assert.deepStrictEqual(Mixer.applyIngredient(rules, ['Energizing'], 'Banana'), ['Thought-Provoking', 'Gingeritis']);
+    // Spelling variants of ingredient names are accepted
+    assert.deepStrictEqual(Mixer.applyIngredient(rules, [], 'MegaBean'), ['Foggy']);
+});
+
+test('applyIngredient stops adding effects at the cap', () => {
+    const full = ['Calming', 'Energizing', 'Foggy', 'Spicy', 'Sneaky', 'Toxic', 'Munchies', 'Slippery'];
+    assert.strictEqual(Mixer.applyIngredient(rules, full, 'Battery').length, 8);
+    assert.throws(() => Mixer.applyIngredient(rules, [], 'Moon Dust'), /Unknown ingredient/);
+});
+
+test('simulateMix reports effects, price and addictiveness after every step', () => {
+    const mix = Mixer.simulateMix(rules, 'Meth', ['Banana', 'Iodine']);
+    assert.strictEqual(mix.steps.length, 3);
+    assert.deepStrictEqual(mix.steps[0], { ingredient: null, effects: [], price: 70, addictiveness: 60 });
+    assert.deepStrictEqual(mix.steps[1], { ingredient: 'Banana', effects: ['Gingeritis'], price: 84, addictiveness: 60 });
+    assert.deepStrictEqual(mix.result.effects, ['Gingeritis', 'Jennerising']);
+    assert.strictEqual(mix.result.price, 113);
+    assert.throws(() => Mixer.simulateMix(rules, 'Tea', []), /Unknown base/);
+});
+
+test('resolveMixChain follows recorded recipes back to the base product', () => {
+    assert.deepStrictEqual(Mixer.resolveMixChain(rules, databases['data.json'], 'ShinyPuke'), {
+        base: 'Meth',
+        ingredients: ['Banana', 'Iodine']
+    });
+    assert.strictEqual(Mixer.resolveMixChain(rules, databases['coke.json'], 'kingscastle'), null);
+});
+
+test('simulating a resolved chain reproduces the recorded product', () => {
+    const chain = Mixer.resolveMixChain(rules, databases['weed.json'], 'FatShart');
+    const mix = Mixer.simulateMix(rules, chain.base, chain.ingredients);
+    const drug = databases['weed.json'].find(d => d['Drug Name'] === 'FatShart');
+    assert.deepStrictEqual(mix.result.effects.slice().sort(), Mixer.parseEffectList(rules, drug.Effects).sort());
+    assert.strictEqual(mix.result.price, Number(drug.Price));
+});
+
+// Recorded mixes the rules currently reproduce. A change to mix-rules.json that lowers these
+// counts has broken a recipe that used to match.
+const expectedReproduced = { 'data.json': 25, 'weed.json': 21, 'coke.json': 14 };
+
+for (const [file, drugsData] of Object.entries(databases)) {
+    test(`${file}: rules reproduce the recorded recipes`, () => {
+        const results = Mixer.verifyRecipes(rules, drugsData);
+        assert.strictEqual(results.length, drugsData.length);
+
+        const reproduced = results.filter(result => result.status === 'reproduced');
+        assert.strictEqual(reproduced.length, expectedReproduced[file]);
+        reproduced.forEach(result => {
+            assert.deepStrictEqual(result.missing, []);
+            assert.deepStrictEqual(result.extra, []);
+        });
+    });
+}
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const DatabaseRegistry = require('../database-registry');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+const worker = fs.readFileSync(path.join(root, 'sw.js'), 'utf8');
+
+// The quoted entries of the service worker's precache list
+function precacheUrls() {
+    const list = worker.match(/const PRECACHE_URLS = \[([\s\S]*?)\];/)[1];
+    return Array.from(list.matchAll(/'([^']+)'/g), match => match[1]);
+}
+
+test('page loads nothing from other sites', () => {
+    assert.deepStrictEqual(html.match(/(?:src|href)="https?:\/\/[^"]+"/g), null);
+});
+
+test('every script, stylesheet and data file the page uses is precached and exists', () => {
+    const urls = precacheUrls();
+    const assets = Array.from(html.matchAll(/<(?:script|link)[^>]+(?:src|href)="([^"#]+)"/g), match => match[1]);
+    const data = Array.from(html.matchAll(/fetch\('([^']+\.json)'\)/g), match => match[1]);
+
+    assets.concat(data).forEach(url => assert.ok(urls.includes(url), `${url} is not precached`));
+    urls.filter(url => url !== './').forEach(url => assert.ok(fs.existsSync(path.join(root, url)), `${url} is missing`));
+});
+
+test('the database manifest is precached and every database and snapshot file it lists exists', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(root, 'databases.json'), 'utf8'));
+    const { databases, errors } = DatabaseRegistry.normalizeManifest(manifest);
+
+    assert.ok(precacheUrls().includes(DatabaseRegistry.MANIFEST_FILE));
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(databases.length, manifest.length);
+    DatabaseRegistry.listFiles(databases).forEach(file => assert.ok(fs.existsSync(path.join(root, file)), `${file} is missing`));
+});
+
+test('manifest starts the app from the page and uses the favicon', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(root, 'manifest.webmanifest'), 'utf8'));
+
+    assert.strictEqual(manifest.start_url, './');
+    assert.strictEqual(manifest.display, 'standalone');
+    assert.strictEqual(manifest.icons[0].src, 'favicon.ico');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Planner = require('../planner');
+const priceTable = require('../prices.json');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+
+// Minimal localStorage stand-in
+function createStorage() {
+    const values = {};
+    return {
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => { values[key] = String(value); }
+    };
+}
+
+test('shopping list and totals combine across products', () => {
+    const plan = Planner.planProduction(databases, [
+        { name: 'GranddaddyHaze', database: 'data.json', quantity: 20 },
+        { name: 'BioBud', database: 'data.json', quantity: 10 },
+        { name: 'GirlScoutCheese', database: 'data.json', quantity: 5 }
+    ], priceTable);
+
+    const shopping = Object.fromEntries(plan.shoppingList.map(entry => [entry.name, entry.quantity]));
+    assert.strictEqual(shopping.Meth, undefined);
+    assert.strictEqual(shopping.Pseudo, 35);
+    assert.strictEqual(shopping.Cuke, 50);
+    assert.strictEqual(shopping.Battery, 30);
+
+    assert.strictEqual(plan.totalCost, plan.items.reduce((sum, item) => sum + item.cost, 0));
+    assert.strictEqual(plan.totalCost, plan.shoppingList.reduce((sum, entry) => sum + entry.cost, 0));
+    assert.strictEqual(plan.revenue, 20 * 224 + 10 * 213 + 5 * 157);
+    assert.strictEqual(plan.profit, plan.revenue - plan.totalCost);
+});
+
+test('intermediates are listed once with combined quantities, in dependency order', () => {
+    const plan = Planner.planProduction(databases, [
+        { name: 'BioBud', database: 'data.json', quantity: 10 },
+        { name: 'GirlScoutCheese', database: 'data.json', quantity: 5 }
+    ], priceTable);
+
+    const names = plan.intermediates.map(entry => entry.name);
+    assert.strictEqual(new Set(names).size, names.length);
+
+    // GirlScoutCheese is a final product here and also an intermediate of BioBud's chain
+    const cheese = plan.intermediates.find(entry => entry.name === 'GirlScoutCheese');
+    assert.strictEqual(cheese.quantity, 10);
+    assert.strictEqual(plan.intermediates.find(entry => entry.name === 'FruityFuel').quantity, 15);
+
+    plan.intermediates.forEach(entry => {
+        const [parent] = entry.recipe.split(' + ');
+        const parentIndex = names.indexOf(parent);
+        if (parentIndex !== -1) assert.ok(parentIndex < names.indexOf(entry.name), `${parent} before ${entry.name}`);
+    });
+});
+
+test('products from different databases can share a plan', () => {
+    const plan = Planner.planProduction(databases, [
+        { name: 'SuperFruit', database: 'weed.json', quantity: 4 },
+        { name: 'AspenCake', database: 'coke.json', quantity: 2 }
+    ], priceTable);
+
+    assert.deepStrictEqual(plan.shoppingList.map(entry => [entry.name, entry.quantity]), [
+        ['Coca Seed', 2],
+        ['Cuke', 2],
+        ['Mega Bean', 4],
+        ['OGKush', 4]
+    ]);
+    assert.deepStrictEqual(plan.intermediates.map(entry => [entry.name, entry.quantity]), [['Cocaine', 2]]);
+});
+
+test('unknown products are flagged instead of breaking the plan', () => {
+    const plan = Planner.planProduction(databases, [{ name: 'Nope', database: 'data.json', quantity: 3 }], priceTable);
+    assert.strictEqual(plan.items[0].missing, true);
+    assert.strictEqual(plan.totalCost, 0);
+});
+
+test('plans round-trip through storage', () => {
+    const storage = createStorage();
+    assert.deepStrictEqual(Planner.loadPlan(storage), []);
+
+    Planner.savePlan(storage, [{ name: 'BioBud', database: 'data.json', quantity: 10, cost: 570 }]);
+    assert.deepStrictEqual(Planner.loadPlan(storage), [{ name: 'BioBud', database: 'data.json', quantity: 10 }]);
+
+    storage.setItem(Planner.STORAGE_KEY, '{broken');
+    assert.deepStrictEqual(Planner.loadPlan(storage), []);
+});
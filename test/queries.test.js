@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Queries = require('../queries');
+
+const root = path.join(__dirname, '..');
+let dir;
+
+// A copy of the data files to change and snapshot without touching the repository (it starts
+// with no snapshots, like a fresh checkout)
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedulei-'));
+    ['databases.json', 'prices.json', 'data.json', 'weed.json', 'coke.json'].forEach(file => {
+        fs.copyFileSync(path.join(root, file), path.join(dir, file));
+    });
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Change a database file in the copy
+function patch(file, change) {
+    const drugs = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    change(drugs);
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(drugs, null, 2));
+}
+
+test('a patched database is compared with its latest snapshot', () => {
+    assert.throws(() => Queries.diffVersions(Queries.loadCatalogue(dir), 'meth'), error => error.status === 400);
+    Queries.saveSnapshot(Queries.loadCatalogue(dir), 'meth', 'Patch 0.3');
+    patch('data.json', drugs => {
+        drugs.find(drug => drug['Drug Name'] === 'Meth').Price = 80;
+    });
+    const diff = Queries.diffVersions(Queries.loadCatalogue(dir), 'Meth');
+
+    assert.strictEqual(diff.database, 'meth');
+    assert.deepStrictEqual([diff.from, diff.to], ['Patch 0.3', 'current']);
+    assert.deepStrictEqual(diff.priceChanges, [{ name: 'Meth', before: 70, after: 80, change: 10 }]);
+    assert.ok(diff.affected.some(product => product.name === 'TokyoCrack' && product.via.includes('Meth')));
+});
+
+test('a snapshot is saved under its version label and listed in databases.json', () => {
+    Queries.saveSnapshot(Queries.loadCatalogue(dir), 'weed', 'Patch 0.3');
+    const saved = Queries.saveSnapshot(Queries.loadCatalogue(dir), 'weed', 'Patch 0.4');
+    const catalogue = Queries.loadCatalogue(dir);
+
+    assert.strictEqual(saved.file, 'snapshots/weed-patch-0.4.json');
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, saved.file), 'utf8')).version, 'Patch 0.4');
+    assert.deepStrictEqual(Queries.listVersions(catalogue, 'weed')[0].versions.map(version => version.version), ['Patch 0.3', 'Patch 0.4', null]);
+    assert.strictEqual(Queries.diffVersions(catalogue, 'weed', { from: 'Patch 0.3', to: 'Patch 0.4' }).added.length, 0);
+    assert.throws(() => Queries.saveSnapshot(catalogue, 'weed', 'Patch 0.4'), /already has a snapshot/);
+    assert.throws(() => Queries.saveSnapshot(catalogue, 'weed'), /version label/);
+    assert.throws(() => Queries.diffVersions(catalogue, 'weed', { from: '0.1' }), error => error.status === 404);
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecipeEngine = require('../recipe-engine');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+
+test('parseRecipe splits on +, commas and "and"', () => {
+    assert.deepStrictEqual(RecipeEngine.parseRecipe('TokyoSplooge + Cuke'), ['TokyoSplooge', 'Cuke']);
+    assert.deepStrictEqual(RecipeEngine.parseRecipe('Acid + Phosphorus + Pseudo'), ['Acid', 'Phosphorus', 'Pseudo']);
+    assert.deepStrictEqual(RecipeEngine.parseRecipe('Meth+Banana'), ['Meth', 'Banana']);
+    assert.deepStrictEqual(RecipeEngine.parseRecipe('Cuke, Banana and Battery'), ['Cuke', 'Banana', 'Battery']);
+});
+
+test('parseRecipe understands sentence-style recipes', () => {
+    assert.deepStrictEqual(RecipeEngine.parseRecipe('Made with Cuke and Banana'), ['Cuke', 'Banana']);
+    assert.deepStrictEqual(
+        RecipeEngine.parseRecipe('Requires Meth which you create with Acid, Phosphorus and Pseudo'),
+        ['Meth', 'Acid', 'Phosphorus', 'Pseudo']
+    );
+});
+
+test('parseRecipe returns nothing for empty and NaN recipes', () => {
+    assert.deepStrictEqual(RecipeEngine.parseRecipe(''), []);
+    assert.deepStrictEqual(RecipeEngine.parseRecipe('NaN'), []);
+    assert.deepStrictEqual(RecipeEngine.parseRecipe(undefined), []);
+});
+
+test('parseEffects splits effects and ignores NaN', () => {
+    assert.deepStrictEqual(RecipeEngine.parseEffects('Spicy, Jennerising'), ['Spicy', 'Jennerising']);
+    assert.deepStrictEqual(RecipeEngine.parseEffects('NaN'), []);
+});
+
+test('findDrugByName is case-insensitive', () => {
+    const drug = RecipeEngine.findDrugByName(databases['data.json'], 'granddaddyhaze');
+    assert.strictEqual(drug['Drug Name'], 'GranddaddyHaze');
+    assert.strictEqual(RecipeEngine.findDrugByName(databases['data.json'], 'Cuke'), undefined);
+});
+
+test('buildRecipeTree expands intermediates down to basic components', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['data.json'], 'GranddaddyHaze');
+    assert.strictEqual(tree.name, 'GranddaddyHaze');
+    assert.strictEqual(tree.price, 224);
+    assert.deepStrictEqual(tree.components.map(c => c.name), ['GirlScoutPiss', 'Battery']);
+    assert.strictEqual(tree.components[1].isBasic, true);
+    assert.strictEqual(tree.components[0].components[0].name, 'MiracleStink');
+});
+
+test('collectBasicMaterials totals raw materials for a quantity', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['data.json'], 'GranddaddyHaze');
+    assert.deepStrictEqual(RecipeEngine.collectBasicMaterials(tree, 20), {
+        Acid: 20,
+        Phosphorus: 20,
+        Pseudo: 20,
+        Banana: 20,
+        Cuke: 40,
+        Paracetamol: 20,
+        Gasoline: 20,
+        Battery: 20
+    });
+});
+
+test('collectBasicMaterials counts recipe-less products as raw materials', () => {
+    const tree = RecipeEngine.buildRecipeTree(databases['weed.json'], 'SuperFruit');
+    assert.deepStrictEqual(RecipeEngine.collectBasicMaterials(tree, 3), { OGKush: 3, 'Mega Bean': 3 });
+});
+
+test('cycles are detected and marked in recipe trees', () => {
+    const looped = [
+        { 'Drug Name': 'A', Recipe: 'B + Cuke' },
+        { 'Drug Name': 'B', Recipe: 'C + Banana' },
+        { 'Drug Name': 'C', Recipe: 'A + Iodine' }
+    ];
+    assert.deepStrictEqual(RecipeEngine.findCycles(looped), [['A', 'B', 'C', 'A']]);
+
+    const tree = RecipeEngine.buildRecipeTree(looped, 'A');
+    assert.strictEqual(RecipeEngine.hasCycle(tree), true);
+    assert.deepStrictEqual(RecipeEngine.collectBasicMaterials(tree), { Cuke: 1, Banana: 1, Iodine: 1 });
+});
+
+test('an index finds the same drugs as the list, first name first', () => {
+    const duplicated = [{ 'Drug Name': 'Kush', Price: 1 }, { 'Drug Name': 'kush', Price: 2 }];
+    const index = RecipeEngine.indexDrugs(duplicated);
+
+    assert.strictEqual(RecipeEngine.findDrugByName(index, 'KUSH').Price, 1);
+    assert.strictEqual(RecipeEngine.findDrugByName(index, 'Cuke'), undefined);
+    assert.deepStrictEqual(
+        RecipeEngine.buildRecipeTree(RecipeEngine.indexDrugs(databases['data.json']), 'GranddaddyHaze'),
+        RecipeEngine.buildRecipeTree(databases['data.json'], 'GranddaddyHaze')
+    );
+});
+
+test('a recipe cache builds each tree once and scales materials per call', () => {
+    const cache = RecipeEngine.createRecipeCache(databases['data.json']);
+    const tree = cache.tree('granddaddyhaze');
+
+    assert.strictEqual(cache.tree('GranddaddyHaze'), tree);
+    assert.strictEqual(cache.find('tokyocrack')['Drug Name'], 'TokyoCrack');
+    assert.deepStrictEqual(cache.materials('GranddaddyHaze', 20), RecipeEngine.collectBasicMaterials(tree, 20));
+
+    const materials = cache.materials('GranddaddyHaze');
+    materials.Cuke = 999;
+    assert.strictEqual(cache.materials('GranddaddyHaze').Cuke, 2);
+});
+
+test('findUsages lists direct users across databases', () => {
+    const index = RecipeEngine.buildUsageIndex(databases);
+    const direct = RecipeEngine.findUsages(index, 'Cuke').filter(usage => usage.depth === 1);
+    const names = direct.map(usage => usage.name);
+
+    ['BioBud', 'GirlScoutPiss', 'AspenCake'].forEach(name => assert.ok(names.includes(name), name));
+    assert.strictEqual(direct.find(usage => usage.name === 'AspenCake').database, 'coke.json');
+});
+
+test('findUsages follows intermediates with their depth', () => {
+    const index = RecipeEngine.buildUsageIndex(databases);
+    const usages = RecipeEngine.findUsages(index, 'GirlScoutPiss');
+
+    assert.deepStrictEqual(usages.map(usage => [usage.name, usage.depth, usage.via]), [
+        ['GranddaddyHaze', 1, 'GirlScoutPiss'],
+        ['SlimyPuke', 2, 'GranddaddyHaze'],
+        ['WeddingStink', 3, 'SlimyPuke']
+    ]);
+    assert.strictEqual(usages[0].price, 224);
+});
+
+test('findUsages matches spelling variants and lists each product once', () => {
+    const index = RecipeEngine.buildUsageIndex(databases);
+    const megaBean = RecipeEngine.findUsages(index, 'Mega Bean').filter(usage => usage.depth === 1).map(usage => usage.name);
+    assert.ok(megaBean.includes('PinkPunch'));
+    assert.ok(megaBean.includes('DarkCake'));
+
+    const all = RecipeEngine.findUsages(index, 'Meth');
+    const keys = all.map(usage => `${usage.database}:${usage.name}`);
+    assert.strictEqual(new Set(keys).size, keys.length);
+    assert.deepStrictEqual(RecipeEngine.findUsages(index, 'WeddingStink'), []);
+});
+
+test('listComponents lists every recipe component once', () => {
+    const components = RecipeEngine.listComponents(RecipeEngine.buildUsageIndex(databases));
+    assert.ok(components.includes('Cuke'));
+    assert.ok(components.includes('GirlScoutPiss'));
+    assert.strictEqual(components.filter(name => RecipeEngine.normalizeName(name) === 'megabean').length, 1);
+});
+
+for (const [file, drugsData] of Object.entries(databases)) {
+    test(`${file}: every product builds an acyclic tree with raw materials`, () => {
+        assert.deepStrictEqual(RecipeEngine.findCycles(drugsData), []);
+
+        drugsData.forEach(drug => {
+            const tree = RecipeEngine.buildRecipeTree(drugsData, drug['Drug Name']);
+            assert.strictEqual(tree.name, drug['Drug Name']);
+            assert.strictEqual(RecipeEngine.hasCycle(tree), false);
+
+            const materials = RecipeEngine.collectBasicMaterials(tree);
+            assert.ok(Object.keys(materials).length > 0, `${drug['Drug Name']} has no raw materials`);
+            Object.values(materials).forEach(count => assert.ok(count >= 1));
+        });
+    });
+}
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecipeGraph = require('../recipe-graph');
+const methData = require('../data.json');
+const weedData = require('../weed.json');
+
+test('shared intermediates and ingredient spellings appear once', () => {
+    const graph = RecipeGraph.buildRecipeGraph(methData);
+    const names = graph.nodes.map(node => node.name);
+
+    assert.strictEqual(names.filter(name => name === 'GirlScoutPiss').length, 1);
+    assert.strictEqual(graph.nodes.filter(node => node.id === 'megabean').length, 1);
+    assert.strictEqual(graph.byId.get('cuke').type, 'ingredient');
+    assert.strictEqual(graph.byId.get('meth').type, 'product');
+    assert.deepStrictEqual(graph.byId.get('girlscoutpiss').inputs.sort(), ['cuke', 'miraclestink']);
+    assert.ok(graph.byId.get('miraclestink').outputs.includes('girlscoutpiss'));
+});
+
+test('levels count the longest chain of mixes from raw ingredients', () => {
+    const graph = RecipeGraph.buildRecipeGraph(weedData);
+
+    assert.strictEqual(graph.byId.get('ogkush').type, 'base');
+    assert.strictEqual(graph.byId.get('ogkush').level, 0);
+    graph.links.forEach(link => {
+        assert.ok(graph.byId.get(link.target).level > graph.byId.get(link.source).level, `${link.source} -> ${link.target}`);
+    });
+});
+
+test('ancestry and descendants follow links in both directions', () => {
+    const graph = RecipeGraph.buildRecipeGraph(methData);
+    const related = RecipeGraph.relatedNodes(graph, 'girlscoutpiss');
+
+    ['miraclestink', 'cuke', 'meth', 'acid'].forEach(id => assert.ok(related.ancestors.has(id), id));
+    assert.ok(related.descendants.has('granddaddyhaze'));
+    assert.ok(!related.ancestors.has('girlscoutpiss'));
+    assert.ok(!related.descendants.has('cuke'));
+});
+
+test('effect filter keeps matching drugs and what they are made from', () => {
+    const graph = RecipeGraph.buildRecipeGraph(methData);
+    const kept = RecipeGraph.filterByEffects(graph, ['tropic thunder']);
+
+    assert.ok(kept.has('girlscoutpiss'));
+    assert.ok(kept.has('cuke'));
+    graph.nodes.filter(node => node.drug && kept.has(node.id)).forEach(node => {
+        const hasEffect = node.effects.some(effect => effect.toLowerCase() === 'tropic thunder');
+        const feedsMatch = Array.from(RecipeGraph.relatedNodes(graph, node.id).descendants).some(id => kept.has(id));
+        assert.ok(hasEffect || feedsMatch, node.name);
+    });
+    assert.strictEqual(RecipeGraph.filterByEffects(graph, []).size, graph.nodes.length);
+});
+
+test('layer ordering reduces crossings and marks cycles instead of looping', () => {
+    const graph = RecipeGraph.buildRecipeGraph(methData);
+    const layers = RecipeGraph.orderLayers(graph);
+    const alphabetical = layers.map(layer => layer.slice().sort((a, b) => graph.byId.get(a).name.localeCompare(graph.byId.get(b).name)));
+
+    assert.strictEqual(layers.reduce((sum, layer) => sum + layer.length, 0), graph.nodes.length);
+    assert.ok(RecipeGraph.countCrossings(graph, layers) < RecipeGraph.countCrossings(graph, alphabetical));
+
+    const cyclic = RecipeGraph.buildRecipeGraph([
+        { 'Drug Name': 'A', Recipe: 'B + Cuke', Effects: '' },
+        { 'Drug Name': 'B', Recipe: 'A', Effects: '' }
+    ]);
+    assert.strictEqual(cyclic.links.filter(link => link.isCircular).length, 1);
+});
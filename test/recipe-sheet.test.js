@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const RecipeSheet = require('../recipe-sheet');
+const methData = require('../data.json');
+const weedData = require('../weed.json');
+
+test('sheet lists effects, materials and mixing order for the quantity', () => {
+    const sheet = RecipeSheet.buildSheet(methData, 'tokyocrack', 20);
+
+    assert.strictEqual(sheet.name, 'TokyoCrack');
+    assert.strictEqual(sheet.quantity, 20);
+    assert.ok(sheet.effects.length > 0);
+    assert.deepStrictEqual(sheet.materials.find(material => material.name === 'Cuke'), { name: 'Cuke', quantity: 20 });
+    assert.ok(sheet.materials.every(material => material.quantity === 20));
+    assert.match(sheet.steps[sheet.steps.length - 1], /-> 20x TokyoCrack$/);
+});
+
+test('unknown drugs are skipped and base strains have no steps to mix', () => {
+    const sheets = RecipeSheet.buildSheets(weedData, ['OGKush', 'NotADrug'], 3);
+
+    assert.strictEqual(sheets.length, 1);
+    assert.deepStrictEqual(sheets[0].materials, [{ name: 'OGKush', quantity: 3 }]);
+    assert.deepStrictEqual(sheets[0].steps, ['Start with 3x OGKush']);
+});
+
+test('HTML has one page per sheet and escapes drug data', () => {
+    const drugs = methData.concat({
+        'Drug Name': '<b>Bold</b>',
+        Price: 10,
+        Effects: 'Calming',
+        Addictiveness: '0%',
+        Recipe: 'Meth + Cuke'
+    });
+    const html = RecipeSheet.toHtml(RecipeSheet.buildSheets(drugs, ['BioBud', '<b>Bold</b>'], 2), "Test & Sheets' Page");
+
+    assert.strictEqual(html.match(/<section class="sheet">/g).length, 2);
+    assert.ok(html.includes('<title>Test &amp; Sheets&#39; Page</title>'));
+    assert.ok(html.includes('&lt;b&gt;Bold&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>Bold</b>'));
+    assert.ok(html.includes('page-break-after'));
+});
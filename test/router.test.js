@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Router = require('../router');
+
+test('default state is a bare path', () => {
+    assert.strictEqual(Router.encodeState({}), '#/catalogue/meth');
+    assert.deepStrictEqual(Router.decodeState(''), Router.DEFAULTS);
+    assert.deepStrictEqual(Router.decodeState('#/'), Router.DEFAULTS);
+});
+
+test('state survives a round trip through the hash', () => {
+    const state = {
+        view: 'catalogue',
+        database: 'weed',
+        version: 'Patch 0.4',
+        search: 'og kush & co',
+        effects: ['Calming', 'Energizing'],
+        sort: 'price',
+        direction: 'desc',
+        tab: 'OG Kush',
+        quantity: 12,
+        modal: 'SourDiesel',
+        focus: null,
+        graph: false,
+        ingredient: null
+    };
+    const hash = Router.encodeState(state);
+
+    assert.match(hash, /^#\/catalogue\/weed\?/);
+    assert.ok(hash.includes('effects=Calming,Energizing'));
+    assert.deepStrictEqual(Router.decodeState(hash), state);
+
+    const flowchart = { ...Router.DEFAULTS, view: 'flowchart', database: 'coke', focus: 'Cocaine', graph: true };
+    assert.deepStrictEqual(Router.decodeState(Router.encodeState(flowchart)), flowchart);
+});
+
+test('quantity is only kept alongside an open tab or modal', () => {
+    assert.strictEqual(Router.encodeState({ quantity: 5 }), '#/catalogue/meth');
+    assert.strictEqual(Router.encodeState({ tab: 'Meth', quantity: 5 }), '#/catalogue/meth?tab=Meth&qty=5');
+});
+
+test('malformed hashes fall back to defaults', () => {
+    const state = Router.decodeState('#/%E0%A4%A/weed?qty=-3&dir=sideways&effects=,,&mode=tree');
+
+    assert.strictEqual(state.view, 'catalogue');
+    assert.strictEqual(state.database, 'weed');
+    assert.strictEqual(state.quantity, 1);
+    assert.strictEqual(state.direction, 'asc');
+    assert.deepStrictEqual(state.effects, []);
+    assert.strictEqual(state.graph, false);
+});
+
+test('only view-level changes count as navigation', () => {
+    const base = Router.decodeState('#/catalogue/meth');
+
+    assert.ok(!Router.isNavigation(base, { ...base, search: 'kush', sort: 'price' }));
+    assert.ok(!Router.isNavigation(base, { ...base, quantity: 4 }));
+    assert.ok(Router.isNavigation(base, { ...base, view: 'mixer' }));
+    assert.ok(Router.isNavigation(base, { ...base, modal: 'Meth' }));
+    assert.ok(Router.isNavigation(base, { ...base, database: 'weed' }));
+    assert.ok(Router.isNavigation(base, { ...base, version: 'baseline' }));
+});
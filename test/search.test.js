@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Search = require('../search');
+
+const databases = {
+    'data.json': require('../data.json'),
+    'weed.json': require('../weed.json'),
+    'coke.json': require('../coke.json')
+};
+const index = Search.buildSearchIndex(databases, {}, { 'data.json': 'Meth', 'weed.json': 'Weed', 'coke.json': 'Cocaine' });
+
+// Names of the results for a query
+function names(query, options) {
+    return Search.search(index, query, options).map(result => result.entry.name);
+}
+
+test('query syntax separates field filters, phrases and plain words', () => {
+    const query = Search.parseQuery('tokyo effect:"Tropic Thunder" price:>150 addict:<=80% "big bud" foo:bar');
+
+    assert.deepStrictEqual(query.terms, ['tokyo', 'big bud', 'foo:bar']);
+    assert.deepStrictEqual(query.filters, [
+        { field: 'effect', value: 'tropic thunder' },
+        { field: 'price', op: '>', value: 150 },
+        { field: 'addictiveness', op: '<=', value: 80 }
+    ]);
+    assert.deepStrictEqual(query.errors, []);
+    assert.strictEqual(Search.parseQuery('price:cheap').errors.length, 1);
+    assert.ok(Search.isEmptyQuery(Search.parseQuery('  ')));
+});
+
+test('typos still find the drug, with exact matches ranked first', () => {
+    assert.strictEqual(names('granddady haze')[0], 'GranddaddyHaze');
+    assert.ok(names('tokio').slice(0, 5).every(name => name.startsWith('Tokyo')));
+    assert.strictEqual(Search.fuzzyMatch('calming', 'Balding'), null);
+    assert.ok(Search.fuzzyMatch('tokyocrack', 'TokyoCrack').score > Search.fuzzyMatch('tokyo', 'TokyoCrack').score);
+});
+
+test('field filters combine and search every database at once', () => {
+    const results = Search.search(index, 'effect:energizing ingredient:cuke price:>150 addict:<80');
+
+    assert.ok(results.length > 0);
+    results.forEach(result => {
+        assert.ok(result.entry.effects.includes('Energizing'));
+        assert.ok(result.entry.ingredients.some(name => name.toLowerCase() === 'cuke'));
+        assert.ok(result.entry.price > 150 && result.entry.addictiveness < 80);
+    });
+
+    const found = Search.search(index, 'ingredient:cuke');
+    assert.deepStrictEqual(new Set(found.map(result => result.database)), new Set(['data.json', 'coke.json']));
+    assert.deepStrictEqual(new Set(Search.search(index, 'db:weed').map(result => result.database)), new Set(['weed.json']));
+    assert.strictEqual(
+        names('ingredient:cuke', { database: 'coke.json' }).length,
+        found.filter(result => result.database === 'coke.json').length
+    );
+});
+
+test('ingredients are found anywhere in the recipe chain', () => {
+    // GirlScoutPiss is Meth-based two mixes down, so Acid is one of its ingredients
+    assert.ok(names('ingredient:acid', { database: 'data.json' }).includes('GirlScoutPiss'));
+    assert.ok(!names('ingredient:acid', { database: 'weed.json' }).includes('OGKush'));
+});
+
+test('highlighting marks matched text and escapes the rest', () => {
+    const [result] = Search.search(index, 'tokyocrack');
+
+    assert.strictEqual(Search.highlight(result.entry.name, result.highlights.name), '<mark>TokyoCrack</mark>');
+    assert.strictEqual(Search.highlight('<a&b>', [[1, 2], [2, 3]]), '&lt;<mark>a&amp;</mark>b&gt;');
+    assert.strictEqual(Search.highlight("It's", [[0, 2]]), '<mark>It</mark>&#39;s');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Queries = require('../queries');
+const Server = require('../server');
+
+const catalogue = Queries.loadCatalogue();
+let server;
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+    server = Server.createServer(catalogue).listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// GET an endpoint and return { status, body }
+async function get(path) {
+    const response = await fetch(baseUrl + path);
+    return { status: response.status, body: await response.json() };
+}
+
+test('databases and products come from every file in databases.json', async () => {
+    const databases = await get('/api/databases');
+    assert.deepStrictEqual(databases.body.map(database => database.id), ['meth', 'weed', 'coke']);
+
+    const products = await get('/api/products');
+    assert.strictEqual(products.body.length, databases.body.reduce((sum, database) => sum + database.products, 0));
+
+    const calming = await get('/api/products?db=coke&effect=calming,Energizing');
+    assert.strictEqual(calming.status, 200);
+    assert.ok(calming.body.length > 0);
+    calming.body.forEach(product => {
+        assert.strictEqual(product.database, 'coke');
+        assert.ok(product.effects.includes('Calming') && product.effects.includes('Energizing'));
+    });
+});
+
+test('a product returns its recipe tree, materials, steps and economics for a quantity', async () => {
+    const { status, body } = await get('/api/products/GranddaddyHaze?qty=20');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.product.database, 'meth');
+    assert.strictEqual(body.tree.name, 'GranddaddyHaze');
+    assert.deepStrictEqual(body.materials.find(material => material.name === 'Cuke'), { name: 'Cuke', quantity: 40 });
+    assert.match(body.steps[body.steps.length - 1], /-> 20x GranddaddyHaze$/);
+    assert.strictEqual(body.economics.revenue, body.product.price * 20);
+});
+
+test('material totals combine products from different databases', async () => {
+    const { body } = await get('/api/materials?item=TokyoCrack:2&item=OGKush:3');
+
+    assert.deepStrictEqual(body.items.map(item => [item.name, item.database, item.quantity]), [['TokyoCrack', 'meth', 2], ['OGKush', 'weed', 3]]);
+    assert.deepStrictEqual(body.shoppingList.find(entry => entry.name === 'OGKush').quantity, 3);
+    assert.strictEqual(body.profit, body.revenue - body.totalCost);
+});
+
+test('uses and search answer like the site does', async () => {
+    const uses = await get('/api/uses/Cuke');
+    assert.ok(uses.body.some(usage => usage.name === 'TokyoCrack' && usage.depth === 1));
+    assert.ok(uses.body.some(usage => usage.name === 'GranddaddyHaze' && usage.depth > 1));
+
+    const search = await get(`/api/search?q=${encodeURIComponent('effect:Energizing')}&db=weed`);
+    assert.ok(search.body.length > 0);
+    assert.ok(search.body.every(result => result.database === 'weed' && result.effects.includes('Energizing')));
+});
+
+test('versions are listed per database; diffs need a snapshot', async () => {
+    const versions = await get('/api/versions?db=coke');
+    assert.deepStrictEqual(versions.body[0].versions.map(version => [version.version, version.current]), [[null, true]]);
+
+    const diff = await get('/api/diff/coke?from=current&to=current');
+    assert.strictEqual(diff.status, 200);
+    assert.deepStrictEqual([diff.body.from, diff.body.to, diff.body.added, diff.body.affected], ['current', 'current', [], []]);
+    assert.match((await get('/api/diff/coke')).body.error, /no snapshots/);
+    assert.strictEqual((await get('/api/diff/coke?from=current&to=9.9')).status, 404);
+});
+
+test('unknown names, databases and endpoints are errors with a status', async () => {
+    assert.strictEqual((await get('/api/products/NotADrug')).status, 404);
+    assert.strictEqual((await get('/api/products?db=shrooms')).status, 404);
+    assert.strictEqual((await get('/api/search?q=price:cheap')).status, 400);
+    assert.strictEqual((await get('/api/materials')).status, 400);
+    assert.strictEqual((await get('/api/products/%E0%A4%A')).status, 400);
+
+    const missing = await get('/api/nothing');
+    assert.strictEqual(missing.status, 404);
+    assert.match(missing.body.error, /No endpoint/);
+});
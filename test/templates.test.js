@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const Templates = require('../templates');
+const RecipeEngine = require('../recipe-engine');
+const Instructions = require('../instructions');
+const CostModel = require('../cost-model');
+
+// Names and effects that would run script or break attributes if they weren't escaped
+const HOSTILE_NAME = '"><img src=x onerror="alert(1)">';
+const HOSTILE_BASE = "O'Kush</p><script>alert('base')</script>";
+const hostileDrugs = [
+    {
+        'Drug Name': HOSTILE_NAME,
+        Price: '10"><b>',
+        Effects: '<svg onload=alert(1)>, Calming\' onmouseover=\'alert(1)',
+        Addictiveness: '5%<i>',
+        Recipe: `${HOSTILE_BASE} + Cuke`
+    },
+    {
+        'Drug Name': HOSTILE_BASE,
+        Price: 5,
+        Effects: 'Calming',
+        Addictiveness: '0%',
+        Recipe: 'Cuke & <u>Banana</u>'
+    }
+];
+
+const TAG_PATTERN = /<\/?([a-zA-Z0-9]+)([^<>]*)>/g;
+const ATTRIBUTE_PATTERN = /\s+([\w-]+)(?:="([^"]*)")?/g;
+
+// Every tag in some HTML as { name, attributes }, failing on anything a browser would read differently:
+// a stray quote or angle bracket, or an inline event handler
+function parseTags(html) {
+    const tags = [];
+    const text = html.replace(/<!--[\s\S]*?-->/g, '').replace(TAG_PATTERN, (tag, name, rest) => {
+        const attributes = {};
+        const leftover = rest.replace(/\s*\/?$/, '').replace(ATTRIBUTE_PATTERN, (match, attribute, value) => {
+            attributes[attribute] = value === undefined ? '' : value;
+            return '';
+        });
+        assert.strictEqual(leftover, '', `malformed attributes in ${tag}`);
+        Object.keys(attributes).forEach(attribute => assert.ok(!/^on/i.test(attribute), `event handler in ${tag}`));
+        tags.push({ name: name.toLowerCase(), attributes });
+        return '';
+    });
+
+    assert.ok(!/[<>]/.test(text), 'unescaped angle bracket in text');
+    return tags;
+}
+
+// Undo escapeHtml, as the browser does when it reads an attribute
+function unescape(value) {
+    return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Every template for the hostile drug, rendered the way the page renders it
+function renderAll() {
+    const drug = hostileDrugs[0];
+    const tree = RecipeEngine.buildRecipeTree(hostileDrugs, HOSTILE_NAME);
+    const steps = Instructions.buildMixingSteps(tree, 2);
+    const parts = {
+        compareButton: '',
+        usedIn: '',
+        materials: Templates.materialsList(RecipeEngine.collectBasicMaterials(tree, 1)),
+        economics: Templates.economicsSummary(CostModel.calculateProfit(tree, {}, 1)),
+        steps: Templates.mixingSteps(HOSTILE_NAME, steps, 2),
+        components: Templates.recipeComponents(tree, [{ name: HOSTILE_BASE, databases: ['a"b.json', '<c>'] }])
+    };
+
+    return {
+        tab: Templates.drugTab(HOSTILE_NAME),
+        tabContent: Templates.drugTabContent(drug, parts),
+        card: Templates.drugCard(drug, { category: '<em>Weed</em>', editable: true, economics: CostModel.calculateProfit(tree, {}, 1) }),
+        details: Templates.recipeDetails(drug, parts),
+        calculated: Templates.calculatedMaterials(HOSTILE_NAME, 3, RecipeEngine.collectBasicMaterials(tree, 3)),
+        ...parts
+    };
+}
+
+test('hostile names, effects and recipes render as text, with no markup or handlers of their own', () => {
+    const rendered = renderAll();
+    const allowed = new Set(['div', 'span', 'button', 'i', 'h4', 'h5', 'h6', 'p', 'strong', 'small', 'ul', 'li', 'input', 'label']);
+
+    Object.keys(rendered).forEach(name => {
+        const tags = parseTags(rendered[name]);
+        tags.forEach(tag => assert.ok(allowed.has(tag.name), `<${tag.name}> in ${name}`));
+    });
+
+    assert.ok(rendered.card.includes('&lt;svg onload=alert(1)&gt;'));
+    assert.ok(rendered.card.includes('&lt;em&gt;Weed&lt;/em&gt;'));
+    assert.ok(rendered.components.includes('O&#39;Kush&lt;/p&gt;&lt;script&gt;'));
+});
+
+test('drug names survive the trip through data attributes, and ids stay usable', () => {
+    const rendered = renderAll();
+    const buttons = parseTags(rendered.card + rendered.details + rendered.tab).filter(tag => 'data-drug' in tag.attributes);
+
+    assert.ok(buttons.length >= 6);
+    buttons.forEach(tag => assert.strictEqual(unescape(tag.attributes['data-drug']), HOSTILE_NAME));
+
+    const ingredients = parseTags(rendered.materials).filter(tag => 'data-ingredient' in tag.attributes);
+    assert.deepStrictEqual(ingredients.map(tag => unescape(tag.attributes['data-ingredient'])), ['Cuke', 'Cuke & <u>Banana</u>']);
+
+    // Ids and the tab's selector only use characters that are safe in CSS
+    const id = Templates.drugId(HOSTILE_NAME);
+    assert.match(id, /^[a-z][a-z0-9_-]*$/);
+    assert.ok(rendered.details.includes(`id="modal-quantity-${id}"`));
+    assert.ok(rendered.tab.includes(`data-bs-target="#${id}-content"`));
+    assert.notStrictEqual(Templates.drugId('a"b'), Templates.drugId("a'b"));
+    assert.strictEqual(Templates.drugId('Tokyo Crack'), 'tokyo-crack');
+});
+
+test('the Calculate buttons use delegated handlers instead of inline script', () => {
+    const rendered = renderAll();
+    const calculate = parseTags(rendered.tabContent + rendered.details).filter(tag => tag.attributes.class && tag.attributes.class.includes('calculate-btn'));
+
+    assert.deepStrictEqual(calculate.map(tag => tag.attributes['data-calculator']), ['tab', 'modal']);
+
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    assert.deepStrictEqual(html.match(/\son[a-z]+\s*=\s*["']/gi), null);
+});
+
+test('escapeHtml covers both quote styles and leaves missing values empty', () => {
+    assert.strictEqual(Templates.escapeHtml(`<a href='x' title="y">&</a>`), '&lt;a href=&#39;x&#39; title=&quot;y&quot;&gt;&amp;&lt;/a&gt;');
+    assert.strictEqual(Templates.escapeHtml(undefined), '');
+    assert.strictEqual(Templates.escapeHtml(42), '42');
+    assert.strictEqual(Templates.effectBadges('NaN'), '<span class="badge bg-secondary">No effects listed</span>');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Versions = require('../versions');
+
+// A drug entry as the databases store it
+function drug(name, price, effects, recipe = '') {
+    return { 'Drug Name': name, Price: price, Addictiveness: '10', Effects: effects, Recipe: recipe };
+}
+
+const before = [
+    drug('Base', 10, 'Calming'),
+    drug('Mid', 40, 'Calming, Foggy', 'Base + Cuke'),
+    drug('Top', 90, 'Calming, Foggy, Sneaky', 'Mid + Banana'),
+    drug('Other', 30, 'Energizing', 'Base + Donut'),
+    drug('Gone', 25, 'Munchies', 'Iodine')
+];
+
+test('a diff lists added and removed products and price, effect and recipe changes', () => {
+    const after = [
+        drug('Base', 10, 'Calming'),
+        drug('mid', 55, 'calming, Sneaky', 'Base + Cuke'),
+        drug('Top', 90, 'Calming, Foggy, Sneaky', 'Mid + Banana'),
+        drug('Other', 30, 'Energizing', 'Base+Chili'),
+        drug('New', 70, 'Zombifying', 'Top + Battery')
+    ];
+    const diff = Versions.diffDatabases(before, after);
+
+    assert.deepStrictEqual(diff.added, ['New']);
+    assert.deepStrictEqual(diff.removed, ['Gone']);
+    assert.deepStrictEqual(diff.priceChanges, [{ name: 'mid', before: 40, after: 55, change: 15 }]);
+    assert.deepStrictEqual(diff.effectChanges, [{ name: 'mid', gained: ['Sneaky'], lost: ['Foggy'] }]);
+    assert.deepStrictEqual(diff.recipeChanges, [{ name: 'Other', before: 'Base + Donut', after: 'Base+Chili' }]);
+    assert.strictEqual(Versions.countChanges(diff), 5);
+});
+
+test('products made from a changed intermediate are affected downstream, with the nearest depth', () => {
+    const after = before.map(entry => (entry['Drug Name'] === 'Base' ? drug('Base', 12, 'Calming') : entry))
+        .filter(entry => entry['Drug Name'] !== 'Gone')
+        .concat(drug('UsesGone', 5, '', 'Gone + Cuke'));
+    const diff = Versions.diffDatabases(before, after);
+
+    assert.deepStrictEqual(diff.affected, [
+        { name: 'Mid', via: ['Base'], depth: 1 },
+        { name: 'Other', via: ['Base'], depth: 1 },
+        { name: 'Top', via: ['Base'], depth: 2 },
+        { name: 'UsesGone', via: ['Gone'], depth: 1 }
+    ]);
+});
+
+test('identical versions have no changes', () => {
+    const diff = Versions.diffDatabases(before, before.map(entry => ({ ...entry })));
+
+    assert.strictEqual(Versions.countChanges(diff), 0);
+    assert.deepStrictEqual(diff.affected, []);
+});
+
+test('snapshots carry their version label and are checked when read', () => {
+    const snapshot = Versions.createSnapshot(before, ' 0.3.4 ', '2026-10-19');
+
+    assert.deepStrictEqual(Versions.readSnapshot(JSON.parse(JSON.stringify(snapshot))), { version: '0.3.4', created: '2026-10-19', drugs: before });
+    assert.strictEqual(Versions.snapshotFile('meth', 'Patch 0.3.4'), 'snapshots/meth-patch-0.3.4.json');
+    assert.throws(() => Versions.createSnapshot(before, ' '), /version label/);
+    assert.throws(() => Versions.readSnapshot(before), /Not a snapshot/);
+    assert.throws(() => Versions.readSnapshot({ drugs: [] }), /no version label/);
+});
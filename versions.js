@@ -0,0 +1,132 @@
+// Dataset versions: snapshots of a database saved before a game patch changes it, and the
+// differences between two versions (products added and removed, price, effect and recipe
+// changes, and the products downstream of a changed intermediate).
+// A snapshot file is { version, created, drugs }; databases.json lists each database's snapshots.
+// Works as a CommonJS module in Node and exposes window.Versions in the browser.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recipe-engine'));
+    } else {
+        root.Versions = factory(root.RecipeEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, function (RecipeEngine) {
+    // Folder snapshots are saved in, relative to the page
+    const SNAPSHOT_DIR = 'snapshots';
+
+    // Where a snapshot of a database is saved, e.g. "snapshots/meth-0.3.json"
+    function snapshotFile(databaseId, version) {
+        const slug = String(version).toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, '');
+        return `${SNAPSHOT_DIR}/${databaseId}-${slug || 'snapshot'}.json`;
+    }
+
+    // A snapshot of a database's drugs under a version label; `created` defaults to today
+    function createSnapshot(drugs, version, created = new Date().toISOString().slice(0, 10)) {
+        const label = String(version || '').trim();
+        if (!label) throw new Error('A snapshot needs a version label');
+        return { version: label, created, drugs };
+    }
+
+    // Check a parsed snapshot file and return { version, created, drugs }
+    function readSnapshot(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.drugs)) {
+            throw new Error('Not a snapshot: expected { version, created, drugs }');
+        }
+        const version = String(data.version || '').trim();
+        if (!version) throw new Error('The snapshot has no version label');
+        return { version, created: data.created || null, drugs: data.drugs };
+    }
+
+    // Whether two recipes list the same components in the same order, ignoring spacing and case
+    function sameRecipe(before, after) {
+        const a = RecipeEngine.parseRecipe(before).map(RecipeEngine.normalizeName);
+        const b = RecipeEngine.parseRecipe(after).map(RecipeEngine.normalizeName);
+        return a.length === b.length && a.every((name, i) => name === b[i]);
+    }
+
+    // Effects in `effects` that `others` doesn't have (ignoring case)
+    function missingFrom(effects, others) {
+        const keys = others.map(effect => effect.toLowerCase());
+        return effects.filter(effect => !keys.includes(effect.toLowerCase()));
+    }
+
+    // Everything that changed between two versions of a database, matching products by name
+    // (ignoring case). Products downstream of a changed or removed product are worked out from
+    // the recipe trees of the newer version; `via` lists the changed products in their tree and
+    // `depth` is how many mixes up from the nearest one they are.
+    function diffDatabases(before, after) {
+        const oldDrugs = RecipeEngine.indexDrugs(before);
+        const newDrugs = RecipeEngine.indexDrugs(after);
+        const diff = { added: [], removed: [], priceChanges: [], effectChanges: [], recipeChanges: [], affected: [] };
+        const changed = new Map();
+
+        newDrugs.forEach((drug, key) => {
+            if (!oldDrugs.has(key)) diff.added.push(drug['Drug Name']);
+        });
+
+        oldDrugs.forEach((oldDrug, key) => {
+            const drug = newDrugs.get(key);
+            if (!drug) {
+                diff.removed.push(oldDrug['Drug Name']);
+                changed.set(key, oldDrug['Drug Name']);
+                return;
+            }
+
+            const name = drug['Drug Name'];
+            const oldPrice = Number(oldDrug.Price) || 0;
+            const newPrice = Number(drug.Price) || 0;
+            if (oldPrice !== newPrice) {
+                diff.priceChanges.push({ name, before: oldPrice, after: newPrice, change: newPrice - oldPrice });
+            }
+
+            const oldEffects = RecipeEngine.parseEffects(oldDrug.Effects);
+            const newEffects = RecipeEngine.parseEffects(drug.Effects);
+            const gained = missingFrom(newEffects, oldEffects);
+            const lost = missingFrom(oldEffects, newEffects);
+            if (gained.length > 0 || lost.length > 0) diff.effectChanges.push({ name, gained, lost });
+
+            const recipeChanged = !sameRecipe(oldDrug.Recipe, drug.Recipe);
+            if (recipeChanged) diff.recipeChanges.push({ name, before: oldDrug.Recipe || '', after: drug.Recipe || '' });
+
+            if (oldPrice !== newPrice || gained.length > 0 || lost.length > 0 || recipeChanged) changed.set(key, name);
+        });
+
+        newDrugs.forEach(drug => {
+            const via = new Map();
+            (function walk(node, depth) {
+                node.components.forEach(component => {
+                    const key = component.name.toLowerCase();
+                    if (changed.has(key) && !(via.get(key) <= depth)) via.set(key, depth);
+                    walk(component, depth + 1);
+                });
+            })(RecipeEngine.buildRecipeTree(newDrugs, drug['Drug Name']), 1);
+
+            if (via.size > 0) {
+                diff.affected.push({
+                    name: drug['Drug Name'],
+                    via: Array.from(via.keys()).map(key => changed.get(key)),
+                    depth: Math.min(...via.values())
+                });
+            }
+        });
+
+        const byName = (a, b) => (a.name || a).localeCompare(b.name || b);
+        Object.keys(diff).forEach(list => diff[list].sort(byName));
+        return diff;
+    }
+
+    // Number of changes in a diff, not counting the products affected downstream
+    function countChanges(diff) {
+        return diff.added.length + diff.removed.length + diff.priceChanges.length +
+            diff.effectChanges.length + diff.recipeChanges.length;
+    }
+
+    return {
+        SNAPSHOT_DIR,
+        snapshotFile,
+        createSnapshot,
+        readSnapshot,
+        diffDatabases,
+        countChanges
+    };
+});